@@ -0,0 +1,118 @@
+// a11y.js — screen reader announcements for game events
+//
+// Moves, new wave tokens and the win are described in #srAnnouncer (a polite, visually
+// hidden live region). Toasts stay in their own live region, so hint messages and the
+// "board full" warning are read out as before.
+
+import * as State from './state.js';
+import * as DOM from './dom.js';
+import { formatDuration } from './results.js';
+
+const SIDE_NAMES = { T: 'top', B: 'bottom', L: 'left', R: 'right' };
+
+let pendingTimer = null;
+
+/* Put a message in the live region. Clearing it first makes a repeated message read again. */
+export function announce(message) {
+  const el = DOM.srAnnouncer;
+  if (!el || !message) return;
+  clearTimeout(pendingTimer);
+  el.textContent = '';
+  pendingTimer = setTimeout(() => { el.textContent = message; }, 50);
+}
+
+/* ===== Descriptions ===== */
+
+function cellName(cellKey) {
+  const [r, c] = cellKey.split(',').map(Number);
+  return `row ${r + 1} column ${c + 1}`;
+}
+
+function slotName(slotId) {
+  const [side, index] = slotId.split(':');
+  return `${SIDE_NAMES[side]} slot ${Number(index) + 1}`;
+}
+
+/* What a slot shows now: "next token in left slot 3 is R" / "left slot 3 is now empty" */
+function slotStatus(slotId) {
+  const active = State.getToken(State.getSlotActive(slotId));
+  return active && !active.placed
+    ? `next token in ${slotName(slotId)} is ${active.letter}`
+    : `${slotName(slotId)} is now empty`;
+}
+
+function letterOf(tokenId) {
+  return State.getToken(tokenId)?.letter ?? State.getSolutionLetters().get(tokenId) ?? '';
+}
+
+/* One history command ({ type, tokenId, cellKey, from }) in words */
+export function describeCommand({ type, tokenId, cellKey, from }) {
+  const letter = letterOf(tokenId);
+  const slotId = State.getSlotAssignment()?.byCell?.get(tokenId)?.id;
+  switch (type) {
+    case 'place': return `${letter} placed at ${cellName(cellKey)}`;
+    case 'move': return `${letter} moved from ${cellName(from)} to ${cellName(cellKey)}`;
+    case 'return': return `${letter} returned from ${cellName(cellKey)}${slotId ? ` to ${slotName(slotId)}` : ''}`;
+    default: return '';
+  }
+}
+
+/* ===== Game events ===== */
+
+export function announcePlacement(tok, cellKey) {
+  announce(`${describeCommand({ type: 'place', tokenId: tok.id, cellKey })}; ${slotStatus(tok.slotId)}`);
+}
+
+export function announceMove(tok, from, cellKey) {
+  announce(describeCommand({ type: 'move', tokenId: tok.id, cellKey, from }));
+}
+
+export function announceReturn(tok, cellKey) {
+  announce(describeCommand({ type: 'return', tokenId: tok.id, cellKey }));
+}
+
+/* After undo/redo: the command that was undone or redone */
+export function announceHistory(action, command) {
+  if (command) announce(`${action}: ${describeCommand(command)}`);
+}
+
+export function announceWin(result) {
+  const words = State.getWords();
+  const wordText = words.length ? ` Words: ${words.join(', ')}.` : '';
+  announce(`Puzzle solved in ${formatDuration(result.timeMs)}!${wordText}`);
+}
+
+/**
+ * Tokens still to place, slot by slot:
+ * "5 tokens left. Top: column 2 A, 1 more queued. Left: row 4 E."
+ * Only letters already showing are named; queued ones are counted.
+ */
+export function describeRemaining() {
+  const placed = [...State.tokensValues()].filter(t => t.placed).length;
+  const remaining = State.getSolutionLetters().size - placed;
+  if (!remaining) return 'All tokens are placed.';
+
+  const parts = [];
+  for (const side of ['T', 'R', 'B', 'L']) {
+    const line = side === 'L' || side === 'R' ? 'row' : 'column';
+    const entries = [];
+    for (let i = 0; i < State.getN(); i++) {
+      const slotId = `${side}:${i}`;
+      const active = State.getToken(State.getSlotActive(slotId));
+      const queued = (State.getSlotQueue(slotId) ?? [])
+        .slice(State.getSlotCursor(slotId) || 0)
+        .filter(id => id !== active?.id && !State.getToken(id)?.placed).length;
+      const showing = active && !active.placed ? active.letter : null;
+      if (!showing && !queued) continue;
+      let text = `${line} ${i + 1} ${showing ?? 'empty'}`;
+      if (queued) text += `, ${queued} more queued`;
+      entries.push(text);
+    }
+    if (entries.length) parts.push(`${SIDE_NAMES[side][0].toUpperCase()}${SIDE_NAMES[side].slice(1)}: ${entries.join('; ')}.`);
+  }
+  return `${remaining} token${remaining === 1 ? '' : 's'} left. ${parts.join(' ')}`;
+}
+
+export function announceRemaining() {
+  announce(describeRemaining());
+}
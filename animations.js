@@ -1,16 +1,19 @@
 // Full animations + confetti implementation (copied and adapted from the original single-file app.js).
 // Exports celebration orchestration, confetti, and the four chase animations.
-// Relies on DOM, State and Audio modules.
+// Relies on DOM, State and Audio modules. Chases and confetti only run in full motion (motion.js).
 
 import * as DOM from './dom.js';
 import * as State from './state.js';
 import * as Audio from './audio.js';
+import * as Motion from './motion.js';
+import * as Theme from './theme.js';
 
 let confettiParticles = [];
 let confettiRunning = false;
 let confettiTicker = null;
 let confettiOptionsGlobal = null;
 let confettiEmitEnabled = true;
+let confettiPalette = null; // colours for new particles; follows theme changes
 const confettiCanvas = DOM.confettiCanvas;
 const confettiCtx = confettiCanvas?.getContext('2d');
 
@@ -50,11 +53,13 @@ function launchConfetti({
   palette = ['#68e3ff', '#a78bfa', '#f472b6', '#60a5fa', '#22d3ee'],
   mixShapes = true
 } = {}) {
+  if (!Motion.isFullMotion()) return;
   confettiEmitEnabled = true;
   resizeConfetti();
   confettiParticles = [];
   confettiRunning = true;
   confettiOptionsGlobal = { gravity, drag, duration };
+  confettiPalette = palette;
 
   const W = confettiCanvas.width / (window.devicePixelRatio || 1);
   const H = confettiCanvas.height / (window.devicePixelRatio || 1);
@@ -83,7 +88,7 @@ function launchConfetti({
       cy: -8,
       count: Math.floor(countPerBurst * 0.18),
       spread: Math.PI * 0.5,
-      palette,
+      palette: confettiPalette,
       mixShapes,
       downOnly: true,
       gravity
@@ -253,6 +258,15 @@ function launchConfetti({
   }
 }
 
+/* Re-read the theme's path colours: recolour falling confetti and use them for the rest of the rain */
+function refreshConfettiPalette() {
+  confettiPalette = getThemePathPalette();
+  for (const p of confettiParticles) {
+    p.color = confettiPalette[Math.floor(Math.random() * confettiPalette.length)];
+  }
+}
+Theme.onThemeChange(refreshConfettiPalette);
+
 function stopConfettiEmission() {
   confettiEmitEnabled = false;
 }
@@ -793,9 +807,21 @@ async function startCelebration(confettiOpts = {}) {
   });
 }
 
+/* Reduced/no motion: the celebration look without movement, for a short moment */
+const STATIC_HIGHLIGHT_MS = 1500;
+let staticHighlightTimer = null;
+
+function showStaticCelebration() {
+  document.documentElement.classList.add('celebrating');
+  DOM.getBoardEl().querySelectorAll('.cell .char').forEach(ch => ch.classList.add('celebrate-text'));
+  clearTimeout(staticHighlightTimer);
+  staticHighlightTimer = setTimeout(stopCelebration, STATIC_HIGHLIGHT_MS);
+}
+
 /* stopCelebration: stops chase highlights and removes celebrate class (does NOT need to be called immediately
    when overlay appears; app.js already stops animations when the player confirms new game). */
 function stopCelebration() {
+  clearTimeout(staticHighlightTimer);
   document.documentElement.classList.remove('celebrating');
   DOM.getBoardEl().querySelectorAll('.cell .char').forEach(ch => ch.classList.remove('celebrate-text'));
   stopBorderChase();
@@ -815,6 +841,14 @@ function timingForTarget(units, targetMs, baseSpeed = 90) {
 /* validateCompletionSequence: show confetti + start chases; show victory overlay when audio ends.
    Animations continue until the player clicks the new-game button. */
 export async function validateCompletionSequence() {
+  // Reduced or no motion: no chases or confetti, and no waiting for the fanfare
+  if (!Motion.isFullMotion()) {
+    Audio.playWinSound().catch(() => {});
+    showStaticCelebration();
+    DOM.showVictoryOverlay();
+    return;
+  }
+
   // get sound duration (or fallback) so we can time overlay and confetti
   const soundMs = await Audio.getWinSoundDurationSafe(4500);
   // ensure celebrations are reasonably long; adjust min if desired
@@ -895,6 +929,14 @@ await startCelebration({
   }
 }
 
+/* Switching away from full motion mid-celebration settles it at once (sound keeps playing) */
+Motion.onMotionChange((mode) => {
+  if (mode === 'full' || !document.documentElement.classList.contains('celebrating')) return;
+  stopConfettiEmission();
+  fadeOutConfetti(300);
+  stopCelebration();
+});
+
 /* New: stop everything (animations + confetti + audio) — compatibility function expected by app.js */
 export function stopAllAnimationsAndAudio() {
   // stop visual sequences and celebration state
@@ -952,5 +994,6 @@ export {
   stopSolutionLetterChase,
   startCelebration,
   stopCelebration,
-  getThemePathPalette
+  getThemePathPalette,
+  refreshConfettiPalette
 };
\ No newline at end of file
@@ -1,5 +1,6 @@
-import { WORDS } from './words.js';
-import { generateFeasiblePuzzle, MIN_WORD_LEN } from './generator.js';
+import * as Core from './puzzle-core.js';
+import * as Schema from './puzzle-schema.js';
+import * as Gen from './generation.js';
 
 import * as State from './state.js';
 import * as DOM from './dom.js';
@@ -8,32 +9,35 @@ import * as Slots from './slots.js';
 import * as Anim from './animations.js';
 import * as Audio from './audio.js';
 import * as Size from './sizing.js';
+import * as Save from './savegame.js';
+import * as History from './history.js';
+import * as Hints from './hints.js';
+import * as Stats from './stats.js';
+import * as Results from './results.js';
+import * as Share from './share.js';
+import * as Archive from './archive.js';
+import * as Drag from './drag.js';
+import * as Keyboard from './keyboard.js';
+import * as A11y from './a11y.js';
+import * as Motion from './motion.js';
+import * as Theme from './theme.js';
+import * as CustomThemes from './custom-themes.js';
+import * as WordLists from './word-lists.js';
+import * as Sfx from './sfx.js';
 
 const DEV = false;
 
 /* Optional base URL for server-hosted daily files (adjust if hosting elsewhere) */
 const DAILY_BASE_URL = '/puzzles/daily';
 
-
-
-function buildDictionary(minLen, maxLen) {
-  return WORDS
-    .map(w => w.trim())
-    .filter(Boolean)
-    .map(w => w.toUpperCase())
-    .filter(w => w.length >= minLen && w.length <= maxLen);
-}
-
-const SIZE_PRESETS = {
-  small:  { N: 8,  maxWordLen: 5,  wordCount: 8  },
-  medium: { N: 11, maxWordLen: 8,  wordCount: 13 },
-  large:  { N: 16, maxWordLen: 11, wordCount: 19 }
-};
+/* Bump when generation changes so stale locally cached dailies are not reused */
+const DAILY_CACHE_VERSION = 2;
 
 let sizeKey = localStorage.getItem('boardSize') || 'large';
 let difficulty = localStorage.getItem('puzzleDifficulty') || 'balanced';
 
 let pool = null;
+let generationController = null; // aborts the newPuzzle() still generating when another starts
 function poolCursorKey() { return `poolCursor:${sizeKey}:${difficulty}`; }
 let poolCursor = Number(localStorage.getItem(poolCursorKey())) || 0;
 
@@ -44,8 +48,8 @@ async function tryLoadPool() {
   try {
     const res = await fetch(url, { cache: 'no-store' });
     if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    const json = await res.json();
-    if (json?.puzzles?.length) {
+    const json = Schema.loadPuzzleFile(await res.json());
+    if (json.puzzles?.length) {
       pool = json;
       if (poolCursor >= pool.puzzles.length) {
         poolCursor = 0;
@@ -59,7 +63,34 @@ async function tryLoadPool() {
   }
 }
 
+/* Save a JSON export through a temporary download link */
+function downloadJson(text, fileName) {
+  const blob = new Blob([text], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 /* ===== UI wiring (settings) ===== */
+/* The clock pauses while the settings modal is open, however it was opened or closed */
+if (DOM.settingsModal) {
+  new MutationObserver(() => {
+    if (DOM.settingsModal.classList.contains('open')) {
+      State.pauseClock('settings');
+      DOM.renderStats(Stats.summarizeStats(), Results.formatDuration);
+      showCalendarMonthOf(activeDailyDate());
+    } else {
+      State.resumeClock('settings');
+      // Closing settings drops an unsaved theme preview (the editor's toggle handler reverts it)
+      if (DOM.themeEditor?.open) DOM.themeEditor.open = false;
+    }
+  }).observe(DOM.settingsModal, { attributes: true, attributeFilter: ['class'] });
+}
 DOM.settingsBtn?.addEventListener('click', DOM.openSettings);
 DOM.settingsClose?.addEventListener('click', DOM.closeSettings);
 DOM.settingsModal?.addEventListener('click', (e) => {
@@ -70,32 +101,209 @@ document.addEventListener('keydown', (e) => {
     DOM.closeSettings();
   }
 });
+/* Theme: persisted; 'auto' follows prefers-color-scheme / prefers-contrast */
+Theme.onThemeChange(() => Size.scheduleFitToViewport());
+Theme.applyTheme();
+function syncThemeSelect() {
+  DOM.renderCustomThemeOptions(CustomThemes.loadCustomThemes(), Theme.CUSTOM_PREFIX);
+  if (DOM.themeSelect) DOM.themeSelect.value = Theme.getThemePreference();
+}
+syncThemeSelect();
 DOM.themeSelect?.addEventListener('change', () => {
-  document.documentElement.setAttribute('data-theme', DOM.themeSelect.value);
-  Size.scheduleFitToViewport();
+  Theme.setThemePreference(DOM.themeSelect.value);
+  if (DOM.themeEditor?.open) loadThemeEditor();
+});
+
+/* THEME EDITOR: colour pickers preview live; Save stores a named custom theme and selects it */
+function pageColors() {
+  const css = getComputedStyle(document.documentElement);
+  return Object.fromEntries(CustomThemes.EDITABLE_VARS.map(({ name }) =>
+    [name, CustomThemes.toHexColor(css.getPropertyValue(name)) ?? '#000000']));
+}
+
+/* Fill the editor from the theme on the page (a custom theme keeps its name) */
+function loadThemeEditor() {
+  const pref = Theme.getThemePreference();
+  const isCustom = pref.startsWith(Theme.CUSTOM_PREFIX);
+  if (DOM.themeEditorName) DOM.themeEditorName.value = isCustom ? pref.slice(Theme.CUSTOM_PREFIX.length) : '';
+  if (DOM.themeEditorBase) DOM.themeEditorBase.value = Theme.getTheme();
+  DOM.renderThemeEditorFields(CustomThemes.EDITABLE_VARS, pageColors());
+}
+
+function previewEditedTheme() {
+  Theme.previewTheme(DOM.themeEditorBase.value, DOM.readThemeEditorFields());
+}
+
+DOM.themeEditor?.addEventListener('toggle', () => {
+  if (DOM.themeEditor.open) loadThemeEditor();
+  else Theme.applyTheme();
+});
+DOM.themeEditorFields?.addEventListener('input', previewEditedTheme);
+DOM.themeEditorBase?.addEventListener('change', () => {
+  // Start again from the new base's own colours
+  Theme.previewTheme(DOM.themeEditorBase.value, {});
+  DOM.renderThemeEditorFields(CustomThemes.EDITABLE_VARS, pageColors());
+});
+DOM.themeEditorSave?.addEventListener('click', () => {
+  try {
+    const saved = CustomThemes.saveCustomTheme({
+      name: DOM.themeEditorName.value,
+      base: DOM.themeEditorBase.value,
+      vars: DOM.readThemeEditorFields()
+    });
+    Theme.setThemePreference(`${Theme.CUSTOM_PREFIX}${saved.name}`);
+    syncThemeSelect();
+    DOM.showToast(`Theme “${saved.name}” saved`);
+  } catch (e) {
+    DOM.showToast(e.message);
+  }
+});
+DOM.themeEditorReset?.addEventListener('click', () => {
+  Theme.applyTheme();
+  loadThemeEditor();
+});
+DOM.themeEditorDelete?.addEventListener('click', () => {
+  const name = DOM.themeEditorName.value.trim();
+  const theme = CustomThemes.getCustomTheme(name);
+  if (!theme) {
+    DOM.showToast('No saved theme with that name');
+    return;
+  }
+  const wasActive = Theme.getThemePreference() === `${Theme.CUSTOM_PREFIX}${name}`;
+  CustomThemes.deleteCustomTheme(name);
+  // Deleting the theme in use falls back to the built-in theme it was based on
+  if (wasActive) Theme.setThemePreference(theme.base);
+  else Theme.applyTheme();
+  syncThemeSelect();
+  loadThemeEditor();
+  DOM.showToast(`Theme “${name}” deleted`);
+});
+DOM.themeEditorExport?.addEventListener('click', () => {
+  downloadJson(CustomThemes.exportCustomThemesJson(), `wordvana-themes-${Core.utcDateString()}.json`);
+});
+DOM.themeEditorImport?.addEventListener('click', () => DOM.themeEditorImportInput?.click());
+DOM.themeEditorImportInput?.addEventListener('change', async () => {
+  const file = DOM.themeEditorImportInput.files?.[0];
+  DOM.themeEditorImportInput.value = '';
+  if (!file) return;
+  try {
+    const n = CustomThemes.importCustomThemesJson(await file.text());
+    Theme.applyTheme();
+    syncThemeSelect();
+    DOM.showToast(`Imported ${n} theme${n === 1 ? '' : 's'}`);
+  } catch (e) {
+    DOM.showToast(e.message);
+  }
+});
+/* Word list for free play: the standard list, a themed list from wordlists/ or one uploaded
+   from a text/JSON file. Takes effect with the next new puzzle; dailies never use it. */
+function syncWordListSelect() {
+  DOM.renderCustomWordListOptions(WordLists.loadWordLists(), WordLists.CUSTOM_PREFIX);
+  if (DOM.wordListSelect) DOM.wordListSelect.value = WordLists.getWordListPreference();
+}
+async function wordListLabel() {
+  const name = await WordLists.activeWordListName();
+  return name ? `the word list “${name}”` : 'the standard word list';
+}
+syncWordListSelect();
+// Themed lists arrive later; the select can only show a stored 'list:<name>' once they have
+WordLists.loadShippedWordLists().then((lists) => {
+  DOM.renderShippedWordListOptions(lists, WordLists.SHIPPED_PREFIX);
+  syncWordListSelect();
+});
+DOM.wordListSelect?.addEventListener('change', async () => {
+  WordLists.setWordListPreference(DOM.wordListSelect.value);
+  DOM.showToast(`New puzzles will use ${await wordListLabel()}`);
+});
+DOM.wordListUploadBtn?.addEventListener('click', () => DOM.wordListUploadInput?.click());
+DOM.wordListUploadInput?.addEventListener('change', async () => {
+  const file = DOM.wordListUploadInput.files?.[0];
+  DOM.wordListUploadInput.value = '';
+  if (!file) return;
+  try {
+    const list = WordLists.importWordList(file.name.replace(/\.[^.]*$/, ''), await file.text());
+    WordLists.setWordListPreference(`${WordLists.CUSTOM_PREFIX}${list.name}`);
+    syncWordListSelect();
+    DOM.showToast(`Word list “${list.name}” added (${list.words.length} words)`);
+  } catch (e) {
+    DOM.showToast(e.message);
+  }
+});
+DOM.wordListDeleteBtn?.addEventListener('click', () => {
+  const list = WordLists.getActiveCustomWordList();
+  if (!list) {
+    DOM.showToast('Pick an uploaded word list to delete');
+    return;
+  }
+  try {
+    WordLists.deleteWordList(list.name);
+    syncWordListSelect();
+    DOM.showToast(`Word list “${list.name}” deleted`);
+  } catch (e) {
+    DOM.showToast(e.message);
+  }
+});
+/* Motion: full / reduced / off, or follow the system (prefers-reduced-motion) */
+Motion.applyMotion();
+if (DOM.motionSelect) {
+  DOM.motionSelect.value = Motion.getMotionPreference();
+  DOM.motionSelect.addEventListener('change', () => Motion.setMotionPreference(DOM.motionSelect.value));
+}
+/* Sound: master volume, mute and per-effect toggles (sfx.js persists them) */
+function syncSoundControls() {
+  const { volume, muted, categories } = Sfx.getSoundSettings();
+  if (DOM.soundVolume) {
+    DOM.soundVolume.value = String(Math.round(volume * 100));
+    DOM.soundVolume.disabled = muted;
+  }
+  if (DOM.soundMute) DOM.soundMute.checked = muted;
+  DOM.soundCategories?.querySelectorAll('input[data-category]').forEach(input => {
+    input.checked = categories[input.dataset.category] !== false;
+  });
+}
+syncSoundControls();
+DOM.soundVolume?.addEventListener('input', () => Sfx.setSoundSettings({ volume: Number(DOM.soundVolume.value) / 100 }));
+// Preview the new level once the slider is released
+DOM.soundVolume?.addEventListener('change', () => Sfx.play('place'));
+DOM.soundMute?.addEventListener('change', () => {
+  Sfx.setSoundSettings({ muted: DOM.soundMute.checked });
+  syncSoundControls();
+});
+DOM.soundCategories?.addEventListener('change', (e) => {
+  const category = e.target.dataset?.category;
+  if (!category) return;
+  Sfx.setSoundSettings({ categories: { [category]: e.target.checked } });
+  if (e.target.checked) Sfx.play(category);
 });
 if (DOM.sizeSelect) {
   DOM.sizeSelect.value = sizeKey;
   DOM.sizeSelect.addEventListener('change', async () => {
+    generationController?.abort(); // the puzzle being generated is for the old setting
     sizeKey = DOM.sizeSelect.value;
     localStorage.setItem('boardSize', sizeKey);
     await tryLoadPool();
-    await resetGame();
+    await resetGame({ resume: true });
   });
 }
 if (DOM.difficultySelect) {
   DOM.difficultySelect.value = difficulty;
   DOM.difficultySelect.addEventListener('change', async () => {
+    generationController?.abort();
     difficulty = DOM.difficultySelect.value;
     localStorage.setItem('puzzleDifficulty', difficulty);
     await tryLoadPool();
-    await resetGame();
+    await resetGame({ resume: true });
   });
 }
 DOM.newGameBtn?.addEventListener('click', async () => {
   DOM.closeSettings();
   await resetGame();
 });
+DOM.victoryShareBtn?.addEventListener('click', async () => {
+  const result = State.getLastResult();
+  if (!result?.dailyDate) return;
+  DOM.showToast(await Share.shareResult(result));
+});
 DOM.victoryNewGameBtn?.addEventListener('click', async () => {
   DOM.hideVictoryOverlay();
   Anim.stopConfettiEmission();
@@ -104,8 +312,66 @@ DOM.victoryNewGameBtn?.addEventListener('click', async () => {
   await resetGame();
 });
 
+/* Pointer dragging of tokens (click-select / click-cell keeps working alongside) */
+Drag.initDragAndDrop();
+
+/* Keyboard play: arrows/Tab over cells and slots, letters select tokens (see keyboard.js) */
+Keyboard.initKeyboardPlay();
+
+/* Hint, undo / redo: buttons plus H, Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS; Ctrl+Y also redoes); Alt+S slot summary */
+History.onChange(DOM.setHistoryButtons);
+DOM.hintBtn?.addEventListener('click', () => Hints.requestHint());
+DOM.undoBtn?.addEventListener('click', () => A11y.announceHistory('Undone', History.undo()));
+DOM.redoBtn?.addEventListener('click', () => A11y.announceHistory('Redone', History.redo()));
+document.addEventListener('keydown', (e) => {
+  if (DOM.settingsModal?.classList.contains('open')) return;
+  if (e.target instanceof HTMLElement && e.target.closest('input, select, textarea')) return;
+  const key = e.key.toLowerCase();
+  if (key === 'h' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+    Hints.requestHint();
+    return;
+  }
+  // Alt+S: read out what is left in the slots (by key position, since Alt changes e.key on macOS)
+  if (e.altKey && e.code === 'KeyS' && !e.ctrlKey && !e.metaKey) {
+    e.preventDefault();
+    A11y.announceRemaining();
+    return;
+  }
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    A11y.announceHistory('Undone', History.undo());
+  } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    e.preventDefault();
+    A11y.announceHistory('Redone', History.redo());
+  }
+});
+
+/* Statistics export / import (JSON file) */
+DOM.statsExportBtn?.addEventListener('click', () => {
+  downloadJson(Stats.exportStatsJson(), `wordvana-stats-${Core.utcDateString()}.json`);
+});
+DOM.statsImportBtn?.addEventListener('click', () => DOM.statsImportInput?.click());
+DOM.statsImportInput?.addEventListener('change', async () => {
+  const file = DOM.statsImportInput.files?.[0];
+  DOM.statsImportInput.value = '';
+  if (!file) return;
+  try {
+    Stats.importStatsJson(await file.text());
+    DOM.renderStats(Stats.summarizeStats(), Results.formatDuration);
+    DOM.showToast('Statistics imported');
+  } catch (e) {
+    DOM.showToast(e.message);
+  }
+});
+
 /* DAILY MODE: persisted in localStorage and wired to the settings checkbox (UTC) */
 const DAILY_PREF_KEY = 'dailyModeEnabled';
+
+/* Archive date being played in daily mode (null = today's daily); not persisted */
+let archiveDate = null;
+function activeDailyDate() { return archiveDate ?? Core.utcDateString(); }
+
 if (DOM.dailyToggle) {
   try {
     const stored = localStorage.getItem(DAILY_PREF_KEY);
@@ -113,12 +379,63 @@ if (DOM.dailyToggle) {
   } catch {}
   DOM.dailyToggle.addEventListener('change', async () => {
     try { localStorage.setItem(DAILY_PREF_KEY, String(DOM.dailyToggle.checked)); } catch {}
-    // Re-generate puzzle under the new mode
+    if (!DOM.dailyToggle.checked) archiveDate = null;
+    // Switch to (or resume) the puzzle for the new mode
     await tryLoadPool();
-    await resetGame();
+    await resetGame({ resume: true });
   });
 }
 
+/* DAILY ARCHIVE: calendar in settings; picking a date plays that day's daily */
+let dailyManifest = null;
+let calendarMonth = null; // { year, month }
+
+function renderCalendar() {
+  if (!calendarMonth) return;
+  const combo = `${sizeKey}-${difficulty}`;
+  const model = Archive.buildCalendarMonth({
+    ...calendarMonth,
+    selectedDate: DOM.dailyToggle?.checked ? activeDailyDate() : null,
+    manifest: dailyManifest,
+    solved: Archive.solvedCombosByDate(Stats.loadStats().results),
+    combo
+  });
+  DOM.renderDailyCalendar(model, {
+    onPick: playArchiveDate,
+    onPrev: () => shiftCalendarMonth(-1),
+    onNext: () => shiftCalendarMonth(1),
+    onToday: () => playArchiveDate(Core.utcDateString())
+  });
+}
+
+function showCalendarMonthOf(dateStr) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  calendarMonth = { year: d.getUTCFullYear(), month: d.getUTCMonth() };
+  renderCalendar();
+}
+
+function shiftCalendarMonth(delta) {
+  const d = new Date(Date.UTC(calendarMonth.year, calendarMonth.month + delta, 1));
+  calendarMonth = { year: d.getUTCFullYear(), month: d.getUTCMonth() };
+  renderCalendar();
+}
+
+async function playArchiveDate(dateStr) {
+  if (!Archive.isPlayableDailyDate(dateStr)) return;
+  archiveDate = dateStr === Core.utcDateString() ? null : dateStr;
+  if (DOM.dailyToggle && !DOM.dailyToggle.checked) {
+    DOM.dailyToggle.checked = true;
+    try { localStorage.setItem(DAILY_PREF_KEY, 'true'); } catch {}
+  }
+  DOM.closeSettings();
+  await resetGame({ resume: true });
+}
+
+Archive.loadDailyManifest(DAILY_BASE_URL).then(m => {
+  dailyManifest = m;
+  renderCalendar();
+});
+
 /* ========= WebAudio preloading + optional playback shim =========
    We fetch the win-fanfare file early (arrayBuffer) but do NOT create or resume an AudioContext
    until a user gesture. Creating/resuming an AudioContext before a gesture triggers browser warnings
@@ -206,6 +523,8 @@ async function initWebAudioAndDecode() {
     if (__winAudioBuffer) {
       const originalPlay = Audio.playWinSound?.bind?.(Audio);
       Audio.playWinSound = async function playViaWebAudio() {
+        // Muted, volume 0 or the win effect turned off in settings
+        if (!Sfx.isWinSoundOn()) return;
         try {
           if (__audioCtx.state === 'suspended') {
             try { await __audioCtx.resume(); } catch {}
@@ -217,7 +536,7 @@ async function initWebAudioAndDecode() {
           }
           const src = __audioCtx.createBufferSource();
           src.buffer = __winAudioBuffer;
-          src.connect(__audioCtx.destination);
+          src.connect(Sfx.winOutputNode(__audioCtx));
           src.start(0);
           __lastWinSource = src;
           return Promise.resolve();
@@ -278,64 +597,6 @@ document.addEventListener('keydown', initWebAudioAndDecode, { once: true, captur
 
 /* ---------- Daily puzzle helper (UTC daily mode) ---------- */
 
-/* Return YYYY-MM-DD in UTC to use a canonical "day" worldwide */
-function utcDateString(date = new Date()) {
-  const d = new Date(date);
-  return d.toISOString().slice(0, 10); // YYYY-MM-DD (UTC)
-}
-
-/* Simple string -> 32-bit hash (deterministic) */
-function hashStringToUint32(str) {
-  // FNV-1a-ish simple hash (fast & deterministic)
-  let h = 2166136261 >>> 0;
-  for (let i = 0; i < str.length; i++) {
-    h ^= str.charCodeAt(i);
-    h = Math.imul(h, 16777619) >>> 0;
-  }
-  return h >>> 0;
-}
-
-/* Mulberry32 PRNG (returns function that yields 0..1) */
-function mulberry32(seed) {
-  let t = seed >>> 0;
-  return function() {
-    t += 0x6D2B79F5;
-    let r = Math.imul(t ^ (t >>> 15), 1 | t);
-    r ^= r + Math.imul(r ^ (r >>> 7), r | 61);
-    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
-  };
-}
-
-/* Serialize slotAssignment and letters (Maps) to plain object for storage */
-function serializePuzzleForStorage(out) {
-  return {
-    grid: out.grid,
-    letters: Array.from(out.letters.entries()),
-    words: out.words,
-    slotAssignment: {
-      byCell: Array.from(out.slotAssignment.byCell.entries()),
-      bySlot: Array.from(out.slotAssignment.bySlot.entries()),
-      slots: out.slotAssignment.slots,
-      slotQueues: out.slotAssignment.slotQueues ? Array.from(out.slotAssignment.slotQueues.entries()) : undefined
-    }
-  };
-}
-
-/* Rehydrate stored puzzle into the same structure newPuzzle expects */
-function rehydrateStoredPuzzle(serial) {
-  return {
-    grid: serial.grid,
-    letters: new Map(serial.letters),
-    words: serial.words,
-    slotAssignment: {
-      byCell: new Map(serial.slotAssignment.byCell),
-      bySlot: new Map(serial.slotAssignment.bySlot),
-      slots: serial.slotAssignment.slots,
-      slotQueues: serial.slotAssignment.slotQueues ? new Map(serial.slotAssignment.slotQueues) : undefined
-    }
-  };
-}
-
 /* Try to fetch a server-provided daily puzzle JSON and rehydrate to client format.
    Tries baseUrl/default path (set DAILY_BASE_URL constant). */
 async function fetchDailyFromServer({ dateStr, sizeKey, difficulty, baseUrl = DAILY_BASE_URL } = {}) {
@@ -346,120 +607,138 @@ async function fetchDailyFromServer({ dateStr, sizeKey, difficulty, baseUrl = DA
     if (!res.ok) {
       throw new Error(`HTTP ${res.status} ${res.statusText}`);
     }
-    const json = await res.json();
-    if (!json?.puzzle) throw new Error('Invalid puzzle payload');
-    return rehydrateStoredPuzzle(json.puzzle);
+    // Older published files are migrated; malformed ones throw and fall back to local generation
+    const json = Schema.loadPuzzleFile(await res.json());
+    if (!json.puzzle) throw new Error('Invalid puzzle payload');
+    return Core.rehydrateStoredPuzzle(json.puzzle);
   } catch (err) {
     throw err;
   }
 }
 
 /* Generate (or fetch from cache) deterministic daily puzzle (UTC) */
-async function generateOrGetDailyPuzzle({ dateStr = utcDateString(), sizeKey, difficulty }) {
-  const cacheKey = `dailyPuzzle:${dateStr}:${sizeKey}:${difficulty}`;
+async function generateOrGetDailyPuzzle({ dateStr = Core.utcDateString(), sizeKey, difficulty }, { signal } = {}) {
+  const cacheKey = `dailyPuzzle:v${DAILY_CACHE_VERSION}:${dateStr}:${sizeKey}:${difficulty}`;
   try {
     const cached = localStorage.getItem(cacheKey);
     if (cached) {
       try {
         const parsed = JSON.parse(cached);
-        return rehydrateStoredPuzzle(parsed);
+        const expectedN = Core.getPreset(sizeKey).N;
+        if (!Schema.validateSerializedPuzzle(parsed, { expectedN }).length) {
+          return Core.rehydrateStoredPuzzle(parsed);
+        }
       } catch (e) {
-        // fall through and regenerate if parse fails
+        // fall through and regenerate if parse or validation fails
       }
     }
   } catch {}
 
-  // Build a seed string and numeric seed
-  const seedStr = `${dateStr}:${sizeKey}:${difficulty}`;
-  const seedNum = hashStringToUint32(seedStr);
-
-  // Create seeded RNG and temporarily override Math.random
-  const rng = mulberry32(seedNum);
-  const originalRandom = Math.random;
-  Math.random = rng;
+  // Same seeding as generate-daily.js, so this matches the published file
+  const out = await generateWithIndicator({ sizeKey, difficulty, dateStr }, signal);
 
+  // Save serialized form to localStorage for quick reloads
   try {
-    const preset = SIZE_PRESETS[sizeKey] ?? SIZE_PRESETS.large;
-    const minWordLen = MIN_WORD_LEN;
-    const maxWordLen = preset.maxWordLen;
-    const wordCount  = preset.wordCount;
+    const serial = Core.serializePuzzleForStorage(out);
+    localStorage.setItem(cacheKey, JSON.stringify(serial));
+  } catch (e) {
+    if (DEV) console.warn('Failed storing daily cache', e);
+  }
 
-    const DICT = buildDictionary(minWordLen, maxWordLen);
-    const raw = generatePuzzleWithinSizeGuaranteed(DICT, preset.N, { difficulty, minWordLen, maxWordLen, wordCount });
+  return out;
+}
 
-    let out;
-    if (raw.grid.length < preset.N) {
-      const { grid: paddedGrid, letters: shiftedLetters, padTop, padLeft } = padGridToSize(raw.grid, raw.letters, preset.N);
-      const shiftedAssignment = shiftSlotAssignmentKeys(raw.slotAssignment, padTop, padLeft);
-      out = { grid: paddedGrid, letters: shiftedLetters, words: raw.words, slotAssignment: shiftedAssignment };
-    } else {
-      out = raw;
-    }
+/* Saved games are tracked per mode, size and difficulty */
+function currentModeKey() {
+  const mode = DOM.dailyToggle?.checked ? 'daily' : 'free';
+  return `${mode}:${sizeKey}:${difficulty}`;
+}
 
-    // Save serialized form to localStorage for quick reloads
-    try {
-      const serial = serializePuzzleForStorage(out);
-      localStorage.setItem(cacheKey, JSON.stringify(serial));
-    } catch (e) {
-      if (DEV) console.warn('Failed storing daily cache', e);
-    }
+/* Words free play generates from (null: the standard list, and its pools). A themed list
+   that cannot be loaded falls back to the standard list. */
+async function freePlayWordList() {
+  try {
+    return await WordLists.loadActiveWordList();
+  } catch (e) {
+    DOM.showToast(`${e.message}; using the standard word list`);
+    return null;
+  }
+}
 
-    return out;
+/* Worker generation with the board's loading indicator up until it settles */
+async function generateWithIndicator(request, signal) {
+  DOM.showGenerating();
+  try {
+    return await Gen.generatePuzzle(request, { signal, onProgress: DOM.setGeneratingProgress });
   } finally {
-    // Restore original Math.random to avoid affecting other code
-    Math.random = originalRandom;
+    if (!signal.aborted) DOM.hideGenerating();
   }
 }
 
-/* New puzzle orchestration */
-async function newPuzzle() {
+/* New puzzle orchestration.
+   resume: reopen the last puzzle played in this mode (with its progress) if there is one.
+   Starting another newPuzzle() (size/difficulty change, new game) abandons this one. */
+async function newPuzzle({ resume = false } = {}) {
+  generationController?.abort();
+  const controller = generationController = new AbortController();
+  const { signal } = controller;
   try {
-    document.body.style.cursor = 'progress';
-    const preset = SIZE_PRESETS[sizeKey] ?? SIZE_PRESETS.large;
-    const minWordLen = MIN_WORD_LEN;
-    const maxWordLen = preset.maxWordLen;
-    const wordCount  = preset.wordCount;
+    const preset = Core.getPreset(sizeKey);
 
     let out;
+    let progress = null;
     const dailyEnabled = DOM.dailyToggle?.checked || false;
+    const modeKey = currentModeKey();
+    // UTC date string for canonical daily puzzles (today, or the archive date picked)
+    const dateStr = activeDailyDate();
+    const customWords = dailyEnabled ? null : (await freePlayWordList())?.words ?? null;
+
+    if (resume) {
+      const current = Save.loadCurrentPuzzle(modeKey, { expectedN: preset.N });
+      const stale = dailyEnabled && current?.dateStr !== dateStr;
+      const saved = current && Save.loadProgress(current.puzzleId);
+      if (current && !stale && !saved?.solved) {
+        out = current.puzzle;
+        progress = saved;
+      }
+    }
 
-    if (dailyEnabled) {
-      // Use UTC date string for canonical daily puzzles
-      const dateStr = utcDateString();
+    if (out) {
+      if (DEV) console.log('Resuming saved puzzle for', modeKey);
+    } else if (dailyEnabled) {
       // Try server first; fallback to local deterministic generation
       try {
         out = await fetchDailyFromServer({ dateStr, sizeKey, difficulty, baseUrl: DAILY_BASE_URL });
         if (DEV) console.log('Loaded daily puzzle from server:', dateStr, sizeKey, difficulty);
       } catch (err) {
+        // Dailies before the cutover exist only as published files: generating one here
+        // would give a different puzzle
+        if (Core.isPublishedOnlyDaily(dateStr)) {
+          if (DEV) console.warn('Server daily fetch failed:', err);
+          DOM.showToast(`Could not load the daily for ${dateStr}`);
+          return;
+        }
         if (DEV) console.warn('Server daily fetch failed, falling back to local generation:', err);
-        out = await generateOrGetDailyPuzzle({ dateStr, sizeKey, difficulty });
+        out = await generateOrGetDailyPuzzle({ dateStr, sizeKey, difficulty }, { signal });
       }
+    } else if (customWords) {
+      // Pools are built from the standard list; any other list always generates
+      out = await generateWithIndicator({ sizeKey, difficulty, words: customWords }, signal);
     } else if (pool && pool.puzzles?.length) {
       const p = pool.puzzles[poolCursor];
       poolCursor = (poolCursor + 1) % pool.puzzles.length;
       localStorage.setItem(poolCursorKey(), String(poolCursor));
-      out = {
-        grid: p.grid,
-        letters: new Map(p.letters),
-        words: p.words,
-        slotAssignment: {
-          byCell: new Map(p.slotAssignment.byCell),
-          bySlot: new Map(p.slotAssignment.bySlot),
-          slots: p.slotAssignment.slots,
-          slotQueues: p.slotAssignment.slotQueues ? new Map(p.slotAssignment.slotQueues) : undefined
-        }
-      };
+      out = Core.rehydrateStoredPuzzle(p);
     } else {
-      const DICT = buildDictionary(minWordLen, maxWordLen);
-      const raw = generatePuzzleWithinSizeGuaranteed(DICT, preset.N, { difficulty, minWordLen, maxWordLen, wordCount });
-      if (raw.grid.length < preset.N) {
-        // padGridToSize and shiftSlotAssignmentKeys from prior app.js
-        const { grid: paddedGrid, letters: shiftedLetters, padTop, padLeft } = padGridToSize(raw.grid, raw.letters, preset.N);
-        const shiftedAssignment = shiftSlotAssignmentKeys(raw.slotAssignment, padTop, padLeft);
-        out = { grid: paddedGrid, letters: shiftedLetters, words: raw.words, slotAssignment: shiftedAssignment };
-      } else {
-        out = raw;
-      }
+      out = await generateWithIndicator({ sizeKey, difficulty }, signal);
+    }
+    // A newer request took over while this one was waiting
+    if (signal.aborted) return;
+
+    // A daily from another date (or one left for a different mode) may have its own saved progress
+    if (resume && !progress) {
+      const saved = Save.loadProgress(Save.puzzleIdFor(out));
+      if (saved && !saved.solved) progress = saved;
     }
 
     // set canonical state
@@ -467,6 +746,12 @@ async function newPuzzle() {
     State.setGridRef(out.grid);
     State.setN(preset.N);
     State.setSlotAssignment(out.slotAssignment);
+    State.setWords(out.words);
+    State.setDictionary(dailyEnabled ? Core.dailyWordList(dateStr).words : customWords);
+    State.setPuzzleId(Save.puzzleIdFor(out));
+    State.setLastResult(null);
+    State.setGameMeta({ sizeKey, difficulty, dailyDate: dailyEnabled ? dateStr : null });
+    Save.rememberCurrentPuzzle(modeKey, out, dailyEnabled ? { dateStr } : {});
 
     if (DEV) {
       console.log('Solution placement (cell -> letter):', Array.from(out.letters.entries()).sort());
@@ -478,79 +763,34 @@ async function newPuzzle() {
     DOM.renderOutsideSlots(preset.N);
     Slots.initSlotQueues(out.slotAssignment);
     Tokens.renderTokensFromAssignment(out.letters, out.slotAssignment);
+    Keyboard.resetRovingFocus();
+    State.resetClock();
+    if (progress && !Save.restoreProgress(progress)) Save.clearProgress(State.getPuzzleId());
     Size.scheduleFitToViewport();
   } catch (e) {
-    console.error('newPuzzle error', e);
+    if (e?.name === 'GenerationError') {
+      // The previous board stays up; say why there is no new one
+      if (DEV) console.warn('Puzzle generation failed', e.report);
+      DOM.showToast(`Could not generate a puzzle: ${e.message}`);
+    } else if (e?.name !== 'AbortError') {
+      console.error('newPuzzle error', e);
+    }
   } finally {
-    document.body.style.cursor = '';
-  }
-}
-
-function generatePuzzleWithinSizeGuaranteed(dictionary, targetN, options = {}) {
-  for (;;) {
-    const out = generateFeasiblePuzzle(dictionary, options);
-    if (out.grid.length <= targetN) return out;
-  }
-}
-
-function padGridToSize(grid, letters, targetN) {
-  const n = grid.length;
-  const newGrid = Array.from({ length: targetN }, () => Array(targetN).fill(0));
-  const padTop = Math.floor((targetN - n) / 2);
-  const padLeft = Math.floor((targetN - n) / 2);
-  for (let r = 0; r < n; r++) for (let c = 0; c < n; c++)
-    newGrid[r + padTop][c + padLeft] = grid[r][c];
-
-  const newLetters = new Map();
-  for (const [key, ch] of letters.entries()) {
-    const [rStr, cStr] = key.split(',');
-    const r = Number(rStr) + padTop;
-    const c = Number(cStr) + padLeft;
-    newLetters.set(`${r},${c}`, ch);
-  }
-  return { grid: newGrid, letters: newLetters, padTop, padLeft };
-}
-
-function shiftSlotAssignmentKeys(assignment, padTop, padLeft) {
-  if (!assignment) return null;
-  const slots = assignment.slots.map(s => {
-    const add = (s.side === 'L' || s.side === 'R') ? padTop : padLeft;
-    const index = s.index + add;
-    return { id: `${s.side}:${index}`, side: s.side, index };
-  });
-
-  const byCell = new Map();
-  const bySlot = new Map();
-  const slotQueues = assignment.slotQueues ? new Map() : undefined;
-
-  for (const [key, info] of assignment.byCell.entries()) {
-    const [rStr, cStr] = key.split(',');
-    const nr = Number(rStr) + padTop;
-    const nc = Number(cStr) + padLeft;
-    const newKey = `${nr},${nc}`;
-
-    const add = (info.side === 'L' || info.side === 'R') ? padTop : padLeft;
-    const newIndex = info.index + add;
-    const newId = `${info.side}:${newIndex}`;
-
-    byCell.set(newKey, { side: info.side, index: newIndex, id: newId, wave: info.wave ?? 0 });
-    bySlot.set(newId, newKey);
-
-    if (slotQueues) {
-      const qOrig = assignment.slotQueues.get(info.id);
-      if (qOrig) {
-        const qNew = slotQueues.get(newId) || [];
-        qNew.push(newKey);
-        slotQueues.set(newId, qNew);
-      }
+    if (generationController === controller) {
+      generationController = null;
+      DOM.hideGenerating();
     }
   }
-  return { byCell, bySlot, slots, slotQueues };
 }
 
-/* Reset game: return tokens and clear board then load new puzzle */
-async function resetGame() {
+/* Reset game: return tokens and clear board then load new puzzle.
+   resume: keep the current board's progress and reopen the saved puzzle for the (new) mode;
+   otherwise the current board is abandoned and its progress dropped. */
+async function resetGame({ resume = false } = {}) {
+  generationController?.abort();
   Anim.stopAllAnimationsAndAudio();
+  if (resume) Save.saveProgress();
+  else Save.clearProgress(State.getPuzzleId());
 
   // Return placed tokens to slots & clear board letters
   for (const [tokenId, tok] of State.tokensIterator()) {
@@ -613,11 +853,22 @@ async function resetGame() {
   DOM.hideVictoryOverlay();
 
   await tryLoadPool();
-  await newPuzzle();
+  await newPuzzle({ resume });
 }
 
-/* Startup: try pool then generate */
+/* Pause the clock while the tab is hidden (and keep the save current) */
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') {
+    State.pauseClock('hidden');
+    Save.saveProgress();
+  } else {
+    State.resumeClock('hidden');
+  }
+});
+window.addEventListener('pagehide', () => Save.saveProgress());
+
+/* Startup: resume the last game for this mode, else try pool then generate */
 (async function startup() {
   await tryLoadPool();
-  await newPuzzle();
+  await newPuzzle({ resume: true });
 })();
\ No newline at end of file
@@ -0,0 +1,87 @@
+// archive.js — past dailies: the published manifest and the calendar month model
+//
+// Any date from ARCHIVE_FIRST_DATE up to today (UTC) can be played: published files are
+// preferred and local deterministic generation covers the rest. Future dates are blocked.
+
+import { utcDateString } from './puzzle-core.js';
+import { validateDailyManifest } from './puzzle-schema.js';
+
+/* First daily ever published */
+export const ARCHIVE_FIRST_DATE = '2026-01-03';
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'];
+
+/* puzzles/daily/index.json (written by generate-daily.js); null if missing or invalid */
+export async function loadDailyManifest(baseUrl) {
+  try {
+    const res = await fetch(`${baseUrl}/index.json`, { cache: 'no-store' });
+    if (!res.ok) return null;
+    const json = await res.json();
+    return validateDailyManifest(json).length ? null : json;
+  } catch {
+    return null;
+  }
+}
+
+/* Map date -> Set('<size>-<difficulty>') of solved dailies, from stats results */
+export function solvedCombosByDate(results) {
+  const out = new Map();
+  for (const r of results) {
+    if (!r.dailyDate) continue;
+    if (!out.has(r.dailyDate)) out.set(r.dailyDate, new Set());
+    out.get(r.dailyDate).add(`${r.sizeKey}-${r.difficulty}`);
+  }
+  return out;
+}
+
+export function isPlayableDailyDate(dateStr, today = utcDateString()) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(dateStr) && dateStr >= ARCHIVE_FIRST_DATE && dateStr <= today;
+}
+
+/**
+ * Calendar model for one UTC month (month is 0-based), weeks starting on Monday:
+ * { title, year, month, canPrev, canNext,
+ *   weeks: [[{ date, day, inMonth, playable, future, published, solved: string[], solvedCurrent, selected } | null]] }
+ * solvedCurrent: the size/difficulty now selected was solved on that date.
+ */
+export function buildCalendarMonth({
+  year, month, today = utcDateString(), selectedDate = null,
+  manifest = null, solved = new Map(), combo = null
+}) {
+  const first = new Date(Date.UTC(year, month, 1));
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const lead = (first.getUTCDay() + 6) % 7; // Monday-first
+
+  const cells = Array(lead).fill(null);
+  for (let day = 1; day <= daysInMonth; day++) {
+    const date = utcDateString(Date.UTC(year, month, day));
+    const solvedHere = [...(solved.get(date) || [])];
+    cells.push({
+      date,
+      day,
+      inMonth: true,
+      playable: isPlayableDailyDate(date, today),
+      future: date > today,
+      published: !!manifest?.dates?.[date],
+      solved: solvedHere,
+      solvedCurrent: combo != null && solvedHere.includes(combo),
+      selected: date === selectedDate
+    });
+  }
+  while (cells.length % 7) cells.push(null);
+
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) weeks.push(cells.slice(i, i + 7));
+
+  const monthStart = utcDateString(first);
+  const nextMonthStart = utcDateString(Date.UTC(year, month + 1, 1));
+  return {
+    title: `${MONTH_NAMES[month]} ${year}`,
+    year,
+    month,
+    canPrev: monthStart > ARCHIVE_FIRST_DATE,
+    canNext: nextMonthStart <= today,
+    weeks
+  };
+}
@@ -27,7 +27,7 @@ export function canPlay(type) {
 }
 
 /**
- * Create or return the shared AudioContext stored on window.
+ * Create or return the shared AudioContext stored on window (sfx.js plays through it too).
  * Does NOT call resume() here — resume must be called inside a user gesture for browsers.
  */
 function getOrCreateAudioContext() {
@@ -150,6 +150,12 @@ export async function playWinSound() {
   return Promise.resolve();
 }
 
+/* Fanfare volume (0..1), set from the sound settings in sfx.js */
+export function setWinSoundVolume(volume) {
+  if (!winSound) initAudio();
+  try { winSound.volume = Math.min(1, Math.max(0, volume)); } catch {}
+}
+
 export function stopWinSound() {
   try {
     if (winSound) {
@@ -0,0 +1,17 @@
+// blocklist.js — words the generator must never use, whatever list they come from
+// (see dictionary.js). Lowercase, one per entry; add to the matching group.
+
+export const BLOCKLIST = [
+  // Proper nouns (names, places, nationalities)
+  'andy', 'anna', 'bach', 'bede', 'beth', 'biff', 'birt', 'carl', 'chan', 'china',
+  'dean', 'dutch', 'english', 'gail', 'hank', 'homer', 'jake', 'jane', 'jean', 'jill',
+  'joby', 'john', 'josh', 'kemp', 'kirk', 'kyle', 'lang', 'lear', 'marc', 'matt',
+  'noel', 'ruth', 'sally',
+
+  // Offensive
+  'bastard', 'cunt', 'dyke', 'horny', 'piss', 'prick', 'shit',
+
+  // Obscure or not words at all
+  'apic', 'coll', 'copi', 'cray', 'erif', 'gali', 'holt', 'keck', 'nipa', 'oakm',
+  'popi', 'sols', 'tash', 'vear'
+];
@@ -0,0 +1,147 @@
+// custom-themes.js — user-made themes: a built-in base theme plus colour overrides
+//
+// Stored under CUSTOM_THEMES_KEY as:
+//  { version: 1,
+//    themes: [{ name, base: '<built-in theme>', vars: { '--accent': '#rrggbb', ... } }] }
+// Only the variables in EDITABLE_VARS can be overridden; everything else comes from the base.
+
+import { THEMES } from './theme.js';
+
+const CUSTOM_THEMES_KEY = 'customThemes:v1';
+const CUSTOM_THEMES_VERSION = 1;
+const MAX_NAME_LENGTH = 40;
+
+/* Colour variables offered in the editor, in display order */
+export const EDITABLE_VARS = [
+  { name: '--bg', label: 'Background' },
+  { name: '--bg-2', label: 'Background 2' },
+  { name: '--text', label: 'Text' },
+  { name: '--muted', label: 'Muted text' },
+  { name: '--fillable-bg-1', label: 'Cell' },
+  { name: '--fillable-bg-2', label: 'Cell 2' },
+  { name: '--fillable-border', label: 'Cell border' },
+  { name: '--empty-bg-1', label: 'Blocked cell' },
+  { name: '--empty-bg-2', label: 'Blocked cell 2' },
+  { name: '--empty-border', label: 'Blocked border' },
+  { name: '--token-bg-1', label: 'Board letter' },
+  { name: '--token-bg-2', label: 'Board letter 2' },
+  { name: '--token-text', label: 'Board letter text' },
+  { name: '--slot-border', label: 'Slot border' },
+  { name: '--outside-token-bg-1', label: 'Tile' },
+  { name: '--outside-token-bg-2', label: 'Tile 2' },
+  { name: '--outside-token-text', label: 'Tile text' },
+  { name: '--outside-wave1-1', label: 'Wave tile' },
+  { name: '--outside-wave1-2', label: 'Wave tile 2' },
+  { name: '--outside-wave-text', label: 'Wave tile text' },
+  { name: '--accent', label: 'Accent' },
+  { name: '--accent-2', label: 'Accent 2' },
+  { name: '--path-0', label: 'Path 1' },
+  { name: '--path-1', label: 'Path 2' },
+  { name: '--path-2', label: 'Path 3' },
+  { name: '--path-3', label: 'Path 4' },
+  { name: '--path-4', label: 'Path 5' }
+];
+const EDITABLE_NAMES = new Set(EDITABLE_VARS.map(v => v.name));
+const HEX_COLOR = /^#[0-9a-f]{6}$/;
+
+/* #rrggbb for a CSS value: the first hex colour in it, or an rgb()/rgba() colour; null otherwise */
+export function toHexColor(value) {
+  const v = String(value ?? '').trim().toLowerCase();
+  const hex = v.match(/#([0-9a-f]{6}|[0-9a-f]{3})\b/);
+  if (hex) {
+    const h = hex[1];
+    return h.length === 3 ? `#${[...h].map(ch => ch + ch).join('')}` : `#${h}`;
+  }
+  const rgb = v.match(/rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/);
+  if (rgb) return `#${rgb.slice(1, 4).map(n => Math.min(255, Number(n)).toString(16).padStart(2, '0')).join('')}`;
+  return null;
+}
+
+/* ===== Validation ===== */
+
+/* Returns a list of problems; empty means the theme can be saved */
+export function validateCustomTheme(theme) {
+  if (!theme || typeof theme !== 'object') return ['not an object'];
+  const errors = [];
+  const name = typeof theme.name === 'string' ? theme.name.trim() : '';
+  if (!name) errors.push('name is required');
+  else if (name.length > MAX_NAME_LENGTH) errors.push(`name must be at most ${MAX_NAME_LENGTH} characters`);
+  if (!THEMES.includes(theme.base)) errors.push(`base must be one of ${THEMES.join(', ')}`);
+  if (!theme.vars || typeof theme.vars !== 'object' || Array.isArray(theme.vars)) {
+    errors.push('vars must be an object');
+  } else {
+    for (const [key, value] of Object.entries(theme.vars)) {
+      if (!EDITABLE_NAMES.has(key)) errors.push(`${key} is not an editable variable`);
+      else if (!HEX_COLOR.test(value)) errors.push(`${key} must be a #rrggbb colour`);
+    }
+  }
+  return errors;
+}
+
+function normalize(theme) {
+  return { name: theme.name.trim(), base: theme.base, vars: { ...theme.vars } };
+}
+
+/* ===== Storage ===== */
+
+export function loadCustomThemes() {
+  try {
+    const data = JSON.parse(localStorage.getItem(CUSTOM_THEMES_KEY) || 'null');
+    if (data?.version !== CUSTOM_THEMES_VERSION || !Array.isArray(data.themes)) return [];
+    return data.themes.filter(t => !validateCustomTheme(t).length).map(normalize);
+  } catch {
+    return [];
+  }
+}
+
+function saveAll(themes) {
+  try {
+    localStorage.setItem(CUSTOM_THEMES_KEY, JSON.stringify({ version: CUSTOM_THEMES_VERSION, themes }));
+  } catch {}
+}
+
+export function getCustomTheme(name) {
+  return loadCustomThemes().find(t => t.name === name) ?? null;
+}
+
+/* Add or replace (by name) a custom theme; throws if it is invalid */
+export function saveCustomTheme(theme) {
+  const errors = validateCustomTheme(theme);
+  if (errors.length) throw new Error(`Invalid theme: ${errors.slice(0, 3).join('; ')}`);
+  const saved = normalize(theme);
+  const themes = loadCustomThemes().filter(t => t.name !== saved.name);
+  themes.push(saved);
+  saveAll(themes);
+  return saved;
+}
+
+export function deleteCustomTheme(name) {
+  saveAll(loadCustomThemes().filter(t => t.name !== name));
+}
+
+/* ===== Export / import ===== */
+
+export function exportCustomThemesJson() {
+  return JSON.stringify({ version: CUSTOM_THEMES_VERSION, themes: loadCustomThemes() }, null, 2);
+}
+
+/* Merge themes from an export (same names are replaced); throws if nothing valid is in it.
+   Returns the number of themes imported. */
+export function importCustomThemesJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Not a JSON file');
+  }
+  if (data?.version !== CUSTOM_THEMES_VERSION || !Array.isArray(data.themes)) {
+    throw new Error('Not a theme export');
+  }
+  const problems = data.themes.flatMap((t, i) => validateCustomTheme(t).map(e => `themes[${i}]: ${e}`));
+  if (problems.length) throw new Error(`Not a theme export: ${problems.slice(0, 3).join('; ')}`);
+
+  const incoming = data.themes.map(normalize);
+  const names = new Set(incoming.map(t => t.name));
+  saveAll([...loadCustomThemes().filter(t => !names.has(t.name)), ...incoming]);
+  return incoming.length;
+}
@@ -0,0 +1,81 @@
+// dictionary.js — word lists for the generator
+//
+// A word list is any array of words; parseWordList() reads one from a file (one word per
+// line, '#' starts a comment, or a JSON array of strings). Named lists ship as such files
+// in wordlists/, listed in wordlists/index.json (see parseWordListIndex()). Every list the
+// generator uses goes through cleanWordList(): words are upper-cased, anything that is not
+// plain A–Z is dropped, duplicates go, and so does every word on the blocklist (blocklist.js).
+//
+// The standard list stays a module (words.js) rather than a file: dailies are generated
+// synchronously, in the page, the worker and the CLI alike, and must see it byte for byte.
+// STANDARD_WORDS is that list cleaned. Dailies published before the blocklist existed were
+// drawn from words.js as it is (LEGACY_WORDS); puzzle-core.js picks the list by date so
+// those dates keep their puzzles.
+
+import { WORDS } from './words.js';
+import { BLOCKLIST } from './blocklist.js';
+
+export const STANDARD_LIST = 'standard';
+export const LEGACY_LIST = 'legacy';
+
+const BLOCKED = new Set(BLOCKLIST.map(w => w.toUpperCase()));
+
+/* Upper-cased word, or null if it is not plain A–Z */
+export function normalizeWord(raw) {
+  const w = String(raw ?? '').trim().toUpperCase();
+  return /^[A-Z]+$/.test(w) ? w : null;
+}
+
+export function isBlocked(word) {
+  return BLOCKED.has(String(word).toUpperCase());
+}
+
+/* Normalized, de-duplicated, blocklist-filtered copy (first occurrence keeps its place) */
+export function cleanWordList(words) {
+  const seen = new Set();
+  const out = [];
+  for (const raw of words) {
+    const w = normalizeWord(raw);
+    if (!w || seen.has(w) || BLOCKED.has(w)) continue;
+    seen.add(w);
+    out.push(w);
+  }
+  return out;
+}
+
+/* Words from a text file: a JSON array of strings, or one word per line ('#' comments).
+   Throws if the text holds no usable word. */
+export function parseWordList(text) {
+  const src = String(text ?? '');
+  let raw;
+  if (src.trimStart().startsWith('[')) {
+    try {
+      raw = JSON.parse(src);
+    } catch {
+      throw new Error('Not a valid JSON word array');
+    }
+    if (!Array.isArray(raw)) throw new Error('Not a valid JSON word array');
+  } else {
+    raw = src.split(/\r?\n/).map(line => line.replace(/#.*/, ''));
+  }
+  const words = cleanWordList(raw);
+  if (!words.length) throw new Error('No usable words in the list');
+  return words;
+}
+
+/* Named lists shipped in wordlists/ (index.json: { version: 1, lists: [{ name, label, file }] });
+   returns the entries, throws if the index is malformed */
+export function parseWordListIndex(json) {
+  if (json?.version !== 1 || !Array.isArray(json.lists)) throw new Error('Not a word list index');
+  for (const l of json.lists) {
+    if (!/^[a-z0-9-]+$/.test(l?.name ?? '') || typeof l.file !== 'string' || !/^[\w.-]+$/.test(l.file)) {
+      throw new Error(`Bad word list entry: ${JSON.stringify(l)}`);
+    }
+  }
+  return json.lists.map(l => ({ name: l.name, label: typeof l.label === 'string' ? l.label : l.name, file: l.file }));
+}
+
+export const STANDARD_WORDS = cleanWordList(WORDS);
+
+/* Unfiltered, in file order with its duplicates: only for reproducing older dailies */
+export const LEGACY_WORDS = WORDS;
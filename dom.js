@@ -12,21 +12,56 @@ export const leftBorderEl = document.getElementById('leftBorder');
 export const rightBorderEl = document.getElementById('rightBorder');
 
 export const toastEl = document.getElementById('toast');
+export const generatingIndicator = document.getElementById('generatingIndicator');
+export const generatingAttempts = document.getElementById('generatingAttempts');
+export const srAnnouncer = document.getElementById('srAnnouncer');
 export const themeSelect = document.getElementById('themeSelect');
+export const customThemeOptions = document.getElementById('customThemeOptions');
+export const themeEditor = document.getElementById('themeEditor');
+export const themeEditorName = document.getElementById('themeEditorName');
+export const themeEditorBase = document.getElementById('themeEditorBase');
+export const themeEditorFields = document.getElementById('themeEditorFields');
+export const themeEditorSave = document.getElementById('themeEditorSave');
+export const themeEditorReset = document.getElementById('themeEditorReset');
+export const themeEditorDelete = document.getElementById('themeEditorDelete');
+export const themeEditorExport = document.getElementById('themeEditorExport');
+export const themeEditorImport = document.getElementById('themeEditorImport');
+export const themeEditorImportInput = document.getElementById('themeEditorImportInput');
 export const difficultySelect = document.getElementById('difficultySelect');
 export const sizeSelect = document.getElementById('sizeSelect');
+export const motionSelect = document.getElementById('motionSelect');
+export const wordListSelect = document.getElementById('wordListSelect');
+export const shippedWordListOptions = document.getElementById('shippedWordListOptions');
+export const customWordListOptions = document.getElementById('customWordListOptions');
+export const wordListUploadBtn = document.getElementById('wordListUploadBtn');
+export const wordListDeleteBtn = document.getElementById('wordListDeleteBtn');
+export const wordListUploadInput = document.getElementById('wordListUploadInput');
 
 /* NEW: daily toggle checkbox (for daily puzzles, uses UTC date) */
 export const dailyToggle = document.getElementById('dailyToggle');
+export const dailyCalendar = document.getElementById('dailyCalendar');
 
 export const settingsBtn = document.getElementById('settingsBtn');
 export const settingsModal = document.getElementById('settingsModal');
 export const settingsClose = document.getElementById('settingsClose');
 export const newGameBtn = document.getElementById('newGameBtn');
+export const soundVolume = document.getElementById('soundVolume');
+export const soundMute = document.getElementById('soundMute');
+export const soundCategories = document.getElementById('soundCategories');
+export const statsPanel = document.getElementById('statsPanel');
+export const statsExportBtn = document.getElementById('statsExportBtn');
+export const statsImportBtn = document.getElementById('statsImportBtn');
+export const statsImportInput = document.getElementById('statsImportInput');
+
+export const hintBtn = document.getElementById('hintBtn');
+export const undoBtn = document.getElementById('undoBtn');
+export const redoBtn = document.getElementById('redoBtn');
 
 export const confettiCanvas = document.getElementById('confetti');
 export const victoryOverlay = document.getElementById('victoryOverlay');
 export const victoryNewGameBtn = document.getElementById('victoryNewGameBtn');
+export const victoryStatsEl = document.getElementById('victoryStats');
+export const victoryShareBtn = document.getElementById('victoryShareBtn');
 
 /* Internal slot element map (populated by renderOutsideSlots) */
 let slotEls = new Map();
@@ -104,6 +139,8 @@ export function renderBoard(grid, onCellClick) {
       cell.setAttribute('aria-label', `Row ${r + 1}, Column ${c + 1}${isCell ? ': empty' : ': blocked'}`);
 
       if (isCell) {
+        // Focusable for keyboard play (keyboard.js moves the single tabindex="0")
+        cell.setAttribute('tabindex', '-1');
         const char = document.createElement('div');
         char.className = 'char';
         char.textContent = '';
@@ -161,6 +198,35 @@ export function renderOutsideSlots(n) {
     rightBorderEl.appendChild(rr);
     slotEls.set(`R:${r}`, rr);
   }
+
+  // Focusable for keyboard play (keyboard.js labels the focused slot)
+  for (const slot of slotEls.values()) slot.setAttribute('tabindex', '-1');
+}
+
+/* Board cell lookup and placed-letter rendering */
+export function getCellEl(cellKey) {
+  return boardGridEl.querySelector(`.cell[data-coord="${cellKey}"]`);
+}
+
+export function setCellLetter(cell, tokenId, letter, { animate = true } = {}) {
+  const charEl = cell.querySelector('.char');
+  if (!charEl) return;
+  charEl.textContent = letter;
+  charEl.classList.remove('placed');
+  if (animate) {
+    // force reflow to retrigger animation
+    charEl.offsetWidth;
+    charEl.classList.add('placed');
+  }
+  cell.dataset.tokenId = tokenId;
+  cell.setAttribute('aria-label', `Row ${Number(cell.dataset.r) + 1}, Column ${Number(cell.dataset.c) + 1}: ${letter}`);
+}
+
+export function clearCellLetter(cell) {
+  const charEl = cell.querySelector('.char');
+  if (charEl) charEl.textContent = '';
+  cell.removeAttribute('data-token-id');
+  cell.setAttribute('aria-label', `Row ${Number(cell.dataset.r) + 1}, Column ${Number(cell.dataset.c) + 1}: empty`);
 }
 
 /* Allowed highlight clearing helper */
@@ -170,6 +236,205 @@ export function clearAllowedHighlights() {
   });
 }
 
+/* Hint marks (cleared on the next move) */
+export function clearHintMarks() {
+  document.querySelectorAll('.hint-token, .hint-candidate, .hint-wrong, .hint-reveal').forEach(el => {
+    el.classList.remove('hint-token', 'hint-candidate', 'hint-wrong', 'hint-reveal');
+  });
+}
+
+export function markHintToken(tokenEl) {
+  tokenEl?.classList.add('hint-token');
+}
+
+export function markHintCells(cellKeys, cls) {
+  for (const key of cellKeys) getCellEl(key)?.classList.add(cls);
+}
+
+/* Board-full-but-wrong marker (cleared as soon as a letter is returned) */
+export function setBoardWrong(on) {
+  boardContainer?.classList.toggle('board-wrong', !!on);
+}
+
+/* Undo/redo button availability */
+export function setHistoryButtons({ canUndo, canRedo }) {
+  if (undoBtn) undoBtn.disabled = !canUndo;
+  if (redoBtn) redoBtn.disabled = !canRedo;
+}
+
+/* Statistics panel (settings modal). summary: stats.js summarizeStats() */
+export function renderStats(summary, formatTime) {
+  if (!statsPanel) return;
+  statsPanel.innerHTML = '';
+
+  const { totals, streak } = summary;
+  const overview = document.createElement('p');
+  overview.className = 'stats-overview';
+  overview.textContent = `Played ${totals.played} · Solved ${totals.solved} · Daily streak ${streak.current} (best ${streak.max})`;
+  statsPanel.appendChild(overview);
+
+  if (summary.byBucket.length) {
+    const table = document.createElement('table');
+    table.className = 'stats-table';
+    const head = table.createTHead().insertRow();
+    for (const h of ['Size', 'Difficulty', 'Played', 'Solved', 'Best', 'Average']) {
+      const th = document.createElement('th');
+      th.textContent = h;
+      head.appendChild(th);
+    }
+    const body = table.createTBody();
+    for (const b of summary.byBucket) {
+      const row = body.insertRow();
+      const cells = [b.sizeKey, b.difficulty, b.played, b.solved,
+        b.bestMs == null ? '—' : formatTime(b.bestMs), b.avgMs == null ? '—' : formatTime(b.avgMs)];
+      for (const v of cells) row.insertCell().textContent = String(v);
+    }
+    statsPanel.appendChild(table);
+  }
+
+  const max = Math.max(1, ...summary.histogram.map(b => b.count));
+  const hist = document.createElement('div');
+  hist.className = 'stats-histogram';
+  hist.setAttribute('role', 'img');
+  hist.setAttribute('aria-label', 'Solve times: ' + summary.histogram.map(b => `${b.label} ${b.count}`).join(', '));
+  for (const b of summary.histogram) {
+    const bar = document.createElement('div');
+    bar.className = 'stats-bar';
+    bar.style.setProperty('--h', String(b.count / max));
+    bar.title = `${b.label}: ${b.count}`;
+    const label = document.createElement('span');
+    label.textContent = b.label;
+    bar.appendChild(label);
+    hist.appendChild(bar);
+  }
+  statsPanel.appendChild(hist);
+}
+
+/* Custom themes in the theme select (values are 'custom:<name>') */
+export function renderCustomThemeOptions(themes, prefix) {
+  if (!customThemeOptions) return;
+  customThemeOptions.innerHTML = '';
+  for (const t of themes) {
+    const opt = document.createElement('option');
+    opt.value = `${prefix}${t.name}`;
+    opt.textContent = t.name.toUpperCase();
+    customThemeOptions.appendChild(opt);
+  }
+  customThemeOptions.hidden = !themes.length;
+}
+
+/* Word lists shipped in wordlists/ in the word list select (values are 'list:<name>') */
+export function renderShippedWordListOptions(lists, prefix) {
+  if (!shippedWordListOptions) return;
+  shippedWordListOptions.innerHTML = '';
+  for (const l of lists) {
+    const opt = document.createElement('option');
+    opt.value = `${prefix}${l.name}`;
+    opt.textContent = l.label.toUpperCase();
+    shippedWordListOptions.appendChild(opt);
+  }
+  shippedWordListOptions.hidden = !lists.length;
+}
+
+/* Uploaded word lists in the word list select (values are 'custom:<name>') */
+export function renderCustomWordListOptions(lists, prefix) {
+  if (!customWordListOptions) return;
+  customWordListOptions.innerHTML = '';
+  for (const l of lists) {
+    const opt = document.createElement('option');
+    opt.value = `${prefix}${l.name}`;
+    opt.textContent = `${l.name.toUpperCase()} (${l.words.length})`;
+    customWordListOptions.appendChild(opt);
+  }
+  customWordListOptions.hidden = !lists.length;
+  if (wordListDeleteBtn) wordListDeleteBtn.disabled = !lists.length;
+}
+
+/* Theme editor colour pickers. vars: [{ name, label }], values: { name: '#rrggbb' } */
+export function renderThemeEditorFields(vars, values) {
+  if (!themeEditorFields) return;
+  themeEditorFields.innerHTML = '';
+  for (const { name, label } of vars) {
+    const row = document.createElement('label');
+    row.className = 'theme-editor-field';
+    const input = document.createElement('input');
+    input.type = 'color';
+    input.value = values[name] ?? '#000000';
+    input.dataset.var = name;
+    const text = document.createElement('span');
+    text.textContent = label;
+    row.append(input, text);
+    themeEditorFields.appendChild(row);
+  }
+}
+
+/* Current picker values: { name: '#rrggbb' } */
+export function readThemeEditorFields() {
+  const values = {};
+  themeEditorFields?.querySelectorAll('input[data-var]').forEach(input => { values[input.dataset.var] = input.value; });
+  return values;
+}
+
+/* Daily archive calendar. model: archive.js buildCalendarMonth() */
+export function renderDailyCalendar(model, { onPick, onPrev, onNext, onToday }) {
+  if (!dailyCalendar) return;
+  dailyCalendar.innerHTML = '';
+
+  const nav = document.createElement('div');
+  nav.className = 'calendar-nav';
+  const prev = document.createElement('button');
+  prev.textContent = '‹';
+  prev.setAttribute('aria-label', 'Previous month');
+  prev.disabled = !model.canPrev;
+  prev.addEventListener('click', onPrev);
+  const title = document.createElement('span');
+  title.textContent = model.title;
+  const next = document.createElement('button');
+  next.textContent = '›';
+  next.setAttribute('aria-label', 'Next month');
+  next.disabled = !model.canNext;
+  next.addEventListener('click', onNext);
+  const today = document.createElement('button');
+  today.textContent = 'Today';
+  today.addEventListener('click', onToday);
+  nav.append(prev, title, next, today);
+  dailyCalendar.appendChild(nav);
+
+  const grid = document.createElement('div');
+  grid.className = 'calendar-grid';
+  grid.setAttribute('role', 'grid');
+  for (const d of ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su']) {
+    const h = document.createElement('span');
+    h.className = 'calendar-dow';
+    h.textContent = d;
+    grid.appendChild(h);
+  }
+  for (const week of model.weeks) {
+    for (const day of week) {
+      if (!day) {
+        grid.appendChild(document.createElement('span'));
+        continue;
+      }
+      const btn = document.createElement('button');
+      btn.className = 'calendar-day';
+      btn.textContent = String(day.day);
+      btn.disabled = !day.playable;
+      btn.classList.toggle('published', day.published);
+      btn.classList.toggle('solved', day.solvedCurrent);
+      btn.classList.toggle('solved-other', !day.solvedCurrent && day.solved.length > 0);
+      btn.classList.toggle('selected', day.selected);
+      if (day.selected) btn.setAttribute('aria-current', 'date');
+      const status = day.future ? 'not yet available'
+        : day.solved.length ? `solved: ${day.solved.join(', ')}` : day.playable ? 'unsolved' : 'not available';
+      btn.title = `${day.date} — ${status}`;
+      btn.setAttribute('aria-label', btn.title);
+      btn.addEventListener('click', () => onPick(day.date));
+      grid.appendChild(btn);
+    }
+  }
+  dailyCalendar.appendChild(grid);
+}
+
 /* Toast and victory overlay helpers */
 export function showToast(msg) {
   if (!toastEl) return;
@@ -177,12 +442,43 @@ export function showToast(msg) {
   toastEl.classList.add('show');
   setTimeout(() => toastEl.classList.remove('show'), 1800);
 }
+/* Loading indicator over the board while a puzzle is generated */
+export function showGenerating() {
+  if (!generatingIndicator) return;
+  if (generatingAttempts) generatingAttempts.textContent = '';
+  generatingIndicator.classList.remove('hidden');
+  wrapper?.setAttribute('aria-busy', 'true');
+}
+/* attempts: grids discarded so far (not announced; the status line is enough) */
+export function setGeneratingProgress(attempts) {
+  if (generatingAttempts) generatingAttempts.textContent = `attempt ${attempts + 1}`;
+}
+export function hideGenerating() {
+  generatingIndicator?.classList.add('hidden');
+  wrapper?.removeAttribute('aria-busy');
+}
 export function showVictoryOverlay() {
   if (!victoryOverlay) return;
   victoryOverlay.classList.remove('hidden');
   victoryOverlay.setAttribute('aria-hidden', 'false');
   victoryNewGameBtn?.focus();
 }
+/* rows: [label, value][] */
+export function renderVictoryStats(rows) {
+  if (!victoryStatsEl) return;
+  victoryStatsEl.innerHTML = '';
+  for (const [label, value] of rows) {
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.textContent = value;
+    victoryStatsEl.append(dt, dd);
+  }
+}
+/* The share card is offered for dailies only */
+export function setShareAvailable(on) {
+  if (victoryShareBtn) victoryShareBtn.hidden = !on;
+}
 export function hideVictoryOverlay() {
   if (!victoryOverlay) return;
   victoryOverlay.classList.add('hidden');
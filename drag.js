@@ -0,0 +1,188 @@
+// drag.js — pointer dragging of tokens (mouse, touch, pen)
+//
+//  slot token  -> empty cell in its row/column   : Tokens.placeToken
+//  board letter -> its own slot                   : Tokens.returnPlacedToken
+//  board letter -> another empty cell in its line : Tokens.moveToken
+// Anything else snaps back. A press that never moves past DRAG_THRESHOLD stays a
+// plain click, so click-select / click-cell keeps working unchanged.
+
+import * as State from './state.js';
+import * as DOM from './dom.js';
+import * as Tokens from './tokens.js';
+import * as Motion from './motion.js';
+import * as Sfx from './sfx.js';
+
+const DRAG_THRESHOLD = 6; // px before a press becomes a drag
+const SNAP_BACK_MS = 180;
+
+let pending = null; // { pointerId, tokenId, sourceEl, fromBoard, startX, startY }
+let drag = null;    // pending + { ghost, offsetX, offsetY, target }
+let suppressClick = false;
+
+/* Install the listeners once; tokens and cells are found by delegation */
+export function initDragAndDrop() {
+  const root = DOM.wrapper;
+  if (!root) return;
+  root.addEventListener('pointerdown', onPointerDown);
+  window.addEventListener('pointermove', onPointerMove);
+  window.addEventListener('pointerup', onPointerUp);
+  window.addEventListener('pointercancel', () => cancelDrag());
+  window.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && drag) cancelDrag();
+  });
+  // The click that follows a real drag must not also select or return a token
+  window.addEventListener('click', (e) => {
+    if (!suppressClick) return;
+    suppressClick = false;
+    e.stopPropagation();
+    e.preventDefault();
+  }, true);
+}
+
+/* ===== Pointer handlers ===== */
+
+function onPointerDown(e) {
+  if (drag || pending) return;
+  if (e.pointerType === 'mouse' && e.button !== 0) return;
+  if (State.getBoardStatus() === 'solved') return;
+
+  const tokenEl = e.target.closest('.slot .token');
+  const cellEl = tokenEl ? null : e.target.closest('.cell[data-token-id]');
+  const sourceEl = tokenEl || cellEl;
+  if (!sourceEl) return;
+
+  const tokenId = sourceEl.dataset.tokenId;
+  if (!State.getToken(tokenId)) return;
+
+  pending = { pointerId: e.pointerId, tokenId, sourceEl, fromBoard: !!cellEl, startX: e.clientX, startY: e.clientY };
+}
+
+function onPointerMove(e) {
+  if (pending && e.pointerId === pending.pointerId) {
+    if (Math.hypot(e.clientX - pending.startX, e.clientY - pending.startY) < DRAG_THRESHOLD) return;
+    startDrag(e);
+  }
+  if (!drag || e.pointerId !== drag.pointerId) return;
+  e.preventDefault();
+  moveGhost(e.clientX, e.clientY);
+  updateTarget(e.clientX, e.clientY);
+}
+
+function onPointerUp(e) {
+  if (pending && e.pointerId === pending.pointerId) {
+    pending = null;
+    return;
+  }
+  if (!drag || e.pointerId !== drag.pointerId) return;
+  updateTarget(e.clientX, e.clientY);
+  drop();
+}
+
+/* ===== Drag lifecycle ===== */
+
+function startDrag(e) {
+  const tok = State.getToken(pending.tokenId);
+  const rect = pending.sourceEl.getBoundingClientRect();
+  drag = {
+    ...pending,
+    offsetX: pending.startX - rect.left,
+    offsetY: pending.startY - rect.top,
+    target: null
+  };
+  pending = null;
+
+  const ghost = document.createElement('div');
+  ghost.className = 'token drag-ghost';
+  ghost.textContent = tok.letter;
+  ghost.setAttribute('aria-hidden', 'true');
+  ghost.style.width = `${rect.width}px`;
+  ghost.style.height = `${rect.height}px`;
+  document.body.appendChild(ghost);
+  drag.ghost = ghost;
+  moveGhost(e.clientX, e.clientY);
+
+  drag.sourceEl.classList.add('drag-source');
+  document.documentElement.classList.add('dragging');
+  DOM.clearHintMarks();
+  Tokens.previewAllowedForToken(tok, { includePlaced: true });
+}
+
+function moveGhost(x, y) {
+  drag.ghost.style.transform = `translate(${x - drag.offsetX}px, ${y - drag.offsetY}px)`;
+}
+
+/* What the pointer is over: { kind: 'cell' | 'slot', key, el, legal } or null */
+function hitTest(x, y) {
+  const tok = State.getToken(drag.tokenId);
+  const el = document.elementFromPoint(x, y);
+  if (!el || !tok) return null;
+
+  const cell = el.closest('.cell.fillable');
+  if (cell) {
+    const key = cell.dataset.coord;
+    if (drag.fromBoard && key === tok.currentCellKey) return null;
+    return { kind: 'cell', key, el: cell, legal: Tokens.canDropOnCell(tok, key) };
+  }
+  const slot = el.closest('.slot');
+  if (slot) {
+    return { kind: 'slot', key: slot.dataset.slotId, el: slot, legal: drag.fromBoard && slot.dataset.slotId === tok.slotId };
+  }
+  return null;
+}
+
+function updateTarget(x, y) {
+  const next = hitTest(x, y);
+  if (drag.target?.el === next?.el) return;
+  drag.target?.el.classList.remove('drop-target', 'drop-illegal');
+  drag.target = next;
+  next?.el.classList.add(next.legal ? 'drop-target' : 'drop-illegal');
+}
+
+function drop() {
+  const { tokenId, target } = drag;
+  const tok = State.getToken(tokenId);
+  let ok = false;
+  if (tok && target?.legal) {
+    if (target.kind === 'slot') ok = Tokens.returnPlacedToken(tokenId);
+    else if (drag.fromBoard) ok = Tokens.moveToken(tokenId, target.key);
+    else ok = Tokens.placeToken(tokenId, target.key);
+  }
+  if (!ok && target) Sfx.play('invalid');
+  suppressClick = true;
+  // Clicks are dispatched right after pointerup; clear the flag if none arrives
+  setTimeout(() => { suppressClick = false; }, 0);
+  endDrag({ snapBack: !ok });
+}
+
+export function cancelDrag() {
+  pending = null;
+  if (drag) endDrag({ snapBack: true });
+}
+
+function endDrag({ snapBack }) {
+  const { ghost, sourceEl, target } = drag;
+  drag = null;
+  target?.el.classList.remove('drop-target', 'drop-illegal');
+  document.documentElement.classList.remove('dragging');
+  DOM.clearAllowedHighlights();
+
+  // Keep the selection preview of a click-selected token
+  const selected = State.getToken(State.getSelectedTokenId());
+  if (selected && !selected.placed) Tokens.previewAllowedForToken(selected);
+
+  if (!snapBack || !sourceEl.isConnected || !Motion.isFullMotion()) {
+    sourceEl.classList.remove('drag-source');
+    ghost.remove();
+    return;
+  }
+
+  // Fly the ghost back to where the token came from, then show the source again
+  const rect = sourceEl.getBoundingClientRect();
+  ghost.classList.add('snap-back');
+  ghost.style.transitionDuration = `${SNAP_BACK_MS}ms`;
+  ghost.style.transform = `translate(${rect.left}px, ${rect.top}px)`;
+  setTimeout(() => {
+    sourceEl.classList.remove('drag-source');
+    ghost.remove();
+  }, SNAP_BACK_MS);
+}
@@ -4,148 +4,58 @@
  *
  * Usage:
  *  node generate-daily.js                 # generate today's UTC daily files (one date)
- *  node generate-daily.js --date 2026-01-03
- *  node generate-daily.js --date 2026-01-03 --out ./puzzles/daily
+ *  node generate-daily.js --date 2026-01-04
+ *  node generate-daily.js --date 2026-01-04 --out ./puzzles/daily
  *  node generate-daily.js --days 7        # generate for today + next 6 days
+ *  node generate-daily.js --unique        # only keep puzzles with a single valid filling
+ *  node generate-daily.js --check         # verify every published daily matches local generation
+ *  node generate-daily.js --index         # only rebuild the archive manifest
+ *  node generate-daily.js --explain large-hard --date 2026-01-03   # solve step by step, with reasons
  *
  * Output:
- *  ./puzzles/daily/YYYY-MM-DD/<size>-<difficulty>.json
+ *  ./puzzles/daily/YYYY-MM-DD/<size>-<difficulty>.json  ->  { formatVersion, meta, puzzle }
+ *  ./puzzles/daily/index.json                            ->  archive manifest (see puzzle-schema.js)
  *
  * Notes:
- *  - This script imports ./generator.js and ./words.js and temporarily overrides Math.random
- *    with the same mulberry32 seeded RNG used by the client, so the output will match
+ *  - Presets, seeding, padding and serialization come from ./puzzle-core.js, the same
+ *    module the client uses for its local daily fallback, so the output will match
  *    client-side deterministic generation.
+ *  - Every file is checked against ./puzzle-schema.js before it is written; --check also
+ *    validates (after migrating older formats) what is already published.
+ *  - Dailies before Core.DAILY_GENERATION_FROM came from an earlier generator: they are
+ *    never regenerated or overwritten, and --check validates them without comparing.
+ *  - index.json is rebuilt from the folder contents after every run, so it always lists
+ *    every published date; --check fails if it is out of date.
+ *  - Files written now also carry meta.rating (difficulty score 0-100 and tier from
+ *    ./rating.js) and meta.wordList, the list the daily was drawn from: 'legacy' (words.js
+ *    as is) before Core.DAILY_STANDARD_LIST_FROM, 'standard' (blocklist applied, see
+ *    ./dictionary.js) from then on. Files published earlier are left as they are, without
+ *    them; --explain rates any date against its own list.
+ *  - --explain prints how ./solver.js solves the date's dailies (the published file if
+ *    there is one, else local generation) and writes nothing; name a <size>-<difficulty>
+ *    to explain just that one.
  */
 
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import { generateFeasiblePuzzle, MIN_WORD_LEN } from './generator.js';
-import { WORDS } from './words.js';
-
-// ------------ Configs (kept in sync with client) ----------------
-const SIZE_PRESETS = {
-  small:  { N: 8,  maxWordLen: 5,  wordCount: 7  },
-  medium: { N: 11, maxWordLen: 8,  wordCount: 10 },
-  large:  { N: 16, maxWordLen: 11, wordCount: 15 }
-};
-const DIFFICULTIES = ['easy', 'balanced', 'hard'];
-// -----------------------------------------------------------------
+import * as Core from './puzzle-core.js';
+import * as Schema from './puzzle-schema.js';
+import { formatSolveSteps } from './solver.js';
 
 // Helpers
-function utcDateString(date = new Date()) {
-  const d = new Date(date);
-  return d.toISOString().slice(0, 10); // YYYY-MM-DD (UTC)
-}
-
-function hashStringToUint32(str) {
-  let h = 2166136261 >>> 0;
-  for (let i = 0; i < str.length; i++) {
-    h ^= str.charCodeAt(i);
-    h = Math.imul(h, 16777619) >>> 0;
-  }
-  return h >>> 0;
-}
-
-function mulberry32(seed) {
-  let t = seed >>> 0;
-  return function() {
-    t += 0x6D2B79F5;
-    let r = Math.imul(t ^ (t >>> 15), 1 | t);
-    r ^= r + Math.imul(r ^ (r >>> 7), r | 61);
-    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
-  };
-}
-
 function ensureDirSync(p) {
   if (!fs.existsSync(p)) fs.mkdirSync(p, { recursive: true });
 }
 
-function buildDictionary(minLen, maxLen) {
-  return WORDS
-    .map(w => String(w).trim())
-    .filter(Boolean)
-    .map(w => w.toUpperCase())
-    .filter(w => w.length >= minLen && w.length <= maxLen);
-}
-
-// Pad grid to size and shift letter coordinates (identical logic to client app.js)
-function padGridToSize(grid, letters, targetN) {
-  const n = grid.length;
-  const newGrid = Array.from({ length: targetN }, () => Array(targetN).fill(0));
-  const padTop = Math.floor((targetN - n) / 2);
-  const padLeft = Math.floor((targetN - n) / 2);
-  for (let r = 0; r < n; r++) for (let c = 0; c < n; c++)
-    newGrid[r + padTop][c + padLeft] = grid[r][c];
-
-  const newLetters = new Map();
-  for (const [key, ch] of letters.entries()) {
-    const [rStr, cStr] = key.split(',');
-    const r = Number(rStr) + padTop;
-    const c = Number(cStr) + padLeft;
-    newLetters.set(`${r},${c}`, ch);
-  }
-  return { grid: newGrid, letters: newLetters, padTop, padLeft };
-}
-
-function shiftSlotAssignmentKeys(assignment, padTop, padLeft) {
-  if (!assignment) return null;
-  const slots = assignment.slots.map(s => {
-    const add = (s.side === 'L' || s.side === 'R') ? padTop : padLeft;
-    const index = s.index + add;
-    return { id: `${s.side}:${index}`, side: s.side, index };
-  });
-
-  const byCell = new Map();
-  const bySlot = new Map();
-  const slotQueues = assignment.slotQueues ? new Map() : undefined;
-
-  for (const [key, info] of assignment.byCell.entries()) {
-    const [rStr, cStr] = key.split(',');
-    const nr = Number(rStr) + padTop;
-    const nc = Number(cStr) + padLeft;
-    const newKey = `${nr},${nc}`;
-
-    const add = (info.side === 'L' || info.side === 'R') ? padTop : padLeft;
-    const newIndex = info.index + add;
-    const newId = `${info.side}:${newIndex}`;
-
-    byCell.set(newKey, { side: info.side, index: newIndex, id: newId, wave: info.wave ?? 0 });
-    bySlot.set(newId, newKey);
-
-    if (slotQueues) {
-      const qOrig = assignment.slotQueues.get(info.id);
-      if (qOrig) {
-        const qNew = slotQueues.get(newId) || [];
-        qNew.push(newKey);
-        slotQueues.set(newId, qNew);
-      }
-    }
-  }
-  return { byCell, bySlot, slots, slotQueues };
-}
-
-// Serialize Maps into arrays for JSON
-function serializePuzzleForStorage(out) {
-  return {
-    grid: out.grid,
-    letters: Array.from(out.letters.entries()),
-    words: out.words,
-    slotAssignment: {
-      byCell: Array.from(out.slotAssignment.byCell.entries()),
-      bySlot: Array.from(out.slotAssignment.bySlot.entries()),
-      slots: out.slotAssignment.slots,
-      slotQueues: out.slotAssignment.slotQueues ? Array.from(out.slotAssignment.slotQueues.entries()) : undefined
-    }
-  };
+/* A GenerationError's message already says which budget ran out and what was discarded */
+function describeError(err) {
+  return err?.name === 'GenerationError' ? err.message : err;
 }
 
-// generatePuzzleWithinSizeGuaranteed (same logic as client)
-function generatePuzzleWithinSizeGuaranteed(dictionary, targetN, options = {}) {
-  for (;;) {
-    const out = generateFeasiblePuzzle(dictionary, options);
-    if (out.grid.length <= targetN) return out;
-  }
+/* Stored difficulty rating: score and tier (see rating.js), against the date's word list */
+function ratingMeta(out, dateStr) {
+  const { score, tier } = Core.ratePuzzle(out, Core.dailyWordList(dateStr).words);
+  return { score, tier };
 }
 
 // CLI parsing (very small, no deps)
@@ -154,92 +64,244 @@ function parseArgs() {
   const out = {
     date: null,   // YYYY-MM-DD
     days: 1,
-    outDir: './puzzles/daily'
+    outDir: './puzzles/daily',
+    unique: false,
+    check: false,
+    index: false,
+    explain: null  // true (every combo) or '<size>-<difficulty>'
   };
   for (let i = 0; i < args.length; i++) {
     const a = args[i];
     if (a === '--date' && args[i+1]) { out.date = args[++i]; }
     else if (a === '--days' && args[i+1]) { out.days = Number(args[++i]) || 1; }
     else if (a === '--out' && args[i+1]) { out.outDir = args[++i]; }
+    else if (a === '--unique') { out.unique = true; }
+    else if (a === '--check') { out.check = true; }
+    else if (a === '--index') { out.index = true; }
+    else if (a === '--explain') { out.explain = args[i+1] && !args[i+1].startsWith('--') ? args[++i] : true; }
     else if (a === '--help' || a === '-h') {
-      console.log('Usage: node generate-daily.js [--date YYYY-MM-DD] [--days N] [--out ./puzzles/daily]');
+      console.log('Usage: node generate-daily.js [--date YYYY-MM-DD] [--days N] [--out ./puzzles/daily] [--unique] [--check] [--index]\n' +
+        '                         [--explain [size-difficulty]]');
       process.exit(0);
     }
   }
   return out;
 }
 
+/* Archive manifest built from what is on disk: { manifestVersion, dates: { YYYY-MM-DD: ['small-easy', ...] } } */
+function buildManifest(rootDir) {
+  const dates = {};
+  const dirs = fs.readdirSync(rootDir).filter(d => /^\d{4}-\d{2}-\d{2}$/.test(d)).sort();
+  for (const dateStr of dirs) {
+    const combos = [];
+    for (const sizeKey of Object.keys(Core.SIZE_PRESETS)) {
+      for (const difficulty of Core.DIFFICULTIES) {
+        if (fs.existsSync(path.join(rootDir, dateStr, `${sizeKey}-${difficulty}.json`))) combos.push(`${sizeKey}-${difficulty}`);
+      }
+    }
+    if (combos.length) dates[dateStr] = combos;
+  }
+  return { manifestVersion: Schema.DAILY_MANIFEST_VERSION, dates };
+}
+
+function writeManifest(rootDir) {
+  const manifest = buildManifest(rootDir);
+  const errors = Schema.validateDailyManifest(manifest);
+  if (errors.length) throw new Error(`Manifest fails validation: ${errors.join('; ')}`);
+  fs.writeFileSync(path.join(rootDir, 'index.json'), JSON.stringify(manifest, null, 2), 'utf8');
+  console.log(`  ✔ index.json (${Object.keys(manifest.dates).length} date(s))`);
+}
+
+/* Cross-check: regenerate every published daily under rootDir and compare puzzles
+   (dailies before Core.DAILY_GENERATION_FROM are only validated) */
+function checkPublished(rootDir) {
+  if (!fs.existsSync(rootDir)) {
+    console.error(`No daily folder at ${rootDir}`);
+    return 1;
+  }
+  let checked = 0;
+  let mismatches = 0;
+
+  const dates = fs.readdirSync(rootDir).filter(d => /^\d{4}-\d{2}-\d{2}$/.test(d)).sort();
+  for (const dateStr of dates) {
+    for (const sizeKey of Object.keys(Core.SIZE_PRESETS)) {
+      for (const difficulty of Core.DIFFICULTIES) {
+        const fileName = `${sizeKey}-${difficulty}.json`;
+        const filePath = path.join(rootDir, dateStr, fileName);
+        if (!fs.existsSync(filePath)) continue;
+
+        checked++;
+        let published;
+        try {
+          published = Schema.loadPuzzleFile(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+        } catch (err) {
+          mismatches++;
+          console.error(`  ✖ ${dateStr}/${fileName}: ${err.message}`);
+          continue;
+        }
+        if (Core.isPublishedOnlyDaily(dateStr)) {
+          console.log(`  ✔ ${dateStr}/${fileName} (published before ${Core.DAILY_GENERATION_FROM}, not regenerated)`);
+          continue;
+        }
+
+        let local;
+        try {
+          local = Core.generateDailyPuzzle({
+            dateStr, sizeKey, difficulty, requireUnique: !!published.meta?.unique
+          });
+        } catch (err) {
+          mismatches++;
+          console.error(`  ✖ ${dateStr}/${fileName}: local generation failed:`, describeError(err));
+          continue;
+        }
+        const same = JSON.stringify(Core.serializePuzzleForStorage(local)) === JSON.stringify(published.puzzle);
+
+        if (same) {
+          console.log(`  ✔ ${dateStr}/${fileName}`);
+        } else {
+          mismatches++;
+          console.error(`  ✖ ${dateStr}/${fileName} differs from local generation`);
+        }
+      }
+    }
+  }
+
+  const manifestPath = path.join(rootDir, 'index.json');
+  const expected = JSON.stringify(buildManifest(rootDir).dates);
+  let actual = null;
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    if (!Schema.validateDailyManifest(manifest).length) actual = JSON.stringify(manifest.dates);
+  } catch {}
+  if (actual === expected) {
+    console.log('  ✔ index.json');
+  } else {
+    mismatches++;
+    console.error('  ✖ index.json is missing, invalid or out of date (run with --index)');
+  }
+
+  console.log(`Checked ${checked} file(s), ${mismatches} mismatch(es).`);
+  return mismatches ? 1 : 0;
+}
+
+/* Step-by-step logical solve of one date's dailies */
+function explainDaily(rootDir, dateStr, only) {
+  const combos = [];
+  for (const sizeKey of Object.keys(Core.SIZE_PRESETS)) {
+    for (const difficulty of Core.DIFFICULTIES) combos.push({ sizeKey, difficulty, name: `${sizeKey}-${difficulty}` });
+  }
+  const picked = only === true ? combos : combos.filter(c => c.name === only);
+  if (!picked.length) {
+    console.error(`Unknown --explain value: ${only} (expected e.g. ${combos[0].name})`);
+    return 2;
+  }
+
+  for (const { sizeKey, difficulty, name } of picked) {
+    const filePath = path.join(rootDir, dateStr, `${name}.json`);
+    let puzzle;
+    let source = 'published';
+    try {
+      puzzle = fs.existsSync(filePath)
+        ? Core.rehydrateStoredPuzzle(Schema.loadPuzzleFile(JSON.parse(fs.readFileSync(filePath, 'utf8'))).puzzle)
+        : null;
+      if (!puzzle) {
+        source = 'generated locally';
+        puzzle = Core.generateDailyPuzzle({ dateStr, sizeKey, difficulty });
+      }
+    } catch (err) {
+      console.error(`  ✖ ${dateStr}/${name}:`, describeError(err));
+      return 1;
+    }
+
+    const { words } = Core.dailyWordList(dateStr);
+    const { steps, guesses } = Core.solvePuzzleLogically(puzzle, words);
+    const { score, tier } = Core.ratePuzzle(puzzle, words);
+    console.log(`\n${dateStr} ${name} (${source}): ${steps.length} steps, ${guesses} guess(es), rating ${score} ${tier}`);
+    console.log(`Words: ${puzzle.words.join(', ')}`);
+    console.log(formatSolveSteps(steps));
+  }
+  return 0;
+}
+
 // Main
 (async function main() {
-  const { date, days, outDir } = parseArgs();
-  const startDateStr = date || utcDateString();
+  const { date, days, outDir, unique, check, index, explain } = parseArgs();
+  const rootDir = path.resolve(process.cwd(), outDir);
+
+  if (check) {
+    process.exit(checkPublished(rootDir));
+  }
+  if (explain) {
+    process.exit(explainDaily(rootDir, date || Core.utcDateString(), explain));
+  }
+  if (index) {
+    ensureDirSync(rootDir);
+    writeManifest(rootDir);
+    return;
+  }
+
+  const startDateStr = date || Core.utcDateString();
   const startDate = new Date(startDateStr + 'T00:00:00Z');
   if (Number.isNaN(startDate.getTime())) {
     console.error('Invalid --date value. Use YYYY-MM-DD (UTC).');
     process.exit(2);
   }
 
-  const rootDir = path.resolve(process.cwd(), outDir);
   ensureDirSync(rootDir);
 
   // For each requested day
   for (let d = 0; d < Math.max(1, days); d++) {
     const cur = new Date(startDate.getTime() + d * 24 * 60 * 60 * 1000);
-    const dateStr = utcDateString(cur);
+    const dateStr = Core.utcDateString(cur);
+    if (Core.isPublishedOnlyDaily(dateStr)) {
+      process.exitCode = 1;
+      console.error(`Skipping ${dateStr}: dailies before ${Core.DAILY_GENERATION_FROM} are kept as published`);
+      continue;
+    }
     const dateDir = path.join(rootDir, dateStr);
     ensureDirSync(dateDir);
 
     console.log(`Generating puzzles for ${dateStr} -> ${dateDir}`);
 
-    for (const sizeKey of Object.keys(SIZE_PRESETS)) {
-      const preset = SIZE_PRESETS[sizeKey];
-      for (const difficulty of DIFFICULTIES) {
-        const seedStr = `${dateStr}:${sizeKey}:${difficulty}`;
-        const seedNum = hashStringToUint32(seedStr);
-
-        // Override Math.random temporarily
-        const originalRandom = Math.random;
-        Math.random = mulberry32(seedNum);
+    for (const sizeKey of Object.keys(Core.SIZE_PRESETS)) {
+      for (const difficulty of Core.DIFFICULTIES) {
+        const { seedStr, seedNum } = Core.dailySeed(dateStr, sizeKey, difficulty);
 
         try {
-          const DICT = buildDictionary(MIN_WORD_LEN, preset.maxWordLen);
-          const raw = generatePuzzleWithinSizeGuaranteed(DICT, preset.N, { difficulty, minWordLen: MIN_WORD_LEN, maxWordLen: preset.maxWordLen, wordCount: preset.wordCount });
-
-          let out;
-          if (raw.grid.length < preset.N) {
-            const { grid: paddedGrid, letters: shiftedLetters, padTop, padLeft } = padGridToSize(raw.grid, raw.letters, preset.N);
-            const shiftedAssignment = shiftSlotAssignmentKeys(raw.slotAssignment, padTop, padLeft);
-            out = { grid: paddedGrid, letters: shiftedLetters, words: raw.words, slotAssignment: shiftedAssignment };
-          } else {
-            out = raw;
-          }
-
-          const serial = serializePuzzleForStorage(out);
+          const out = Core.generateDailyPuzzle({ dateStr, sizeKey, difficulty, requireUnique: unique });
+
+          const serial = Core.serializePuzzleForStorage(out);
           const fileName = `${sizeKey}-${difficulty}.json`;
           const filePath = path.join(dateDir, fileName);
 
           const payload = {
+            formatVersion: Schema.PUZZLE_FORMAT_VERSION,
             meta: {
               date: dateStr,
               sizeKey,
               difficulty,
               seedStr,
               seedNum,
+              unique,
+              wordList: Core.dailyWordList(dateStr).name,
+              rating: ratingMeta(out, dateStr),
               generatedAt: new Date().toISOString()
             },
             puzzle: serial
           };
+          const errors = Schema.validatePuzzleFile(payload);
+          if (errors.length) throw new Error(`Generated puzzle fails validation: ${errors.join('; ')}`);
 
           fs.writeFileSync(filePath, JSON.stringify(payload, null, 2), 'utf8');
-          console.log(`  ✔ ${fileName} (seed=${seedNum})`);
+          console.log(`  ✔ ${fileName} (seed=${seedNum}, rating ${payload.meta.rating.score} ${payload.meta.rating.tier})`);
         } catch (err) {
-          console.error(`  ✖ Error generating ${sizeKey}-${difficulty} for ${dateStr}:`, err);
-        } finally {
-          Math.random = originalRandom;
+          process.exitCode = 1;
+          console.error(`  ✖ Error generating ${sizeKey}-${difficulty} for ${dateStr}:`, describeError(err));
         }
       }
     }
   }
 
+  writeManifest(rootDir);
   console.log('Done.');
-})();
\ No newline at end of file
+})();
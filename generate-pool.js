@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+/**
+ * generate-pool.js
+ *
+ * Usage:
+ *  node generate-pool.js                          # 50 puzzles for every size/difficulty
+ *  node generate-pool.js --count 200 --sizes small,medium --difficulties easy
+ *  node generate-pool.js --append --count 25      # add 25 new puzzles to existing pools
+ *  node generate-pool.js --seed nightly-42        # reproducible output
+ *  node generate-pool.js --unique --max-waves 3 --min-fill 0.8
+ *  node generate-pool.js --difficulties hard --score 45-100   # only puzzles rated 45+
+ *  node generate-pool.js --words animals --out ./puzzles/animals   # a list shipped in ./wordlists
+ *  node generate-pool.js --words ./my-words.txt --out ./puzzles/mine
+ *
+ * Output:
+ *  ./puzzles/pool-<size>-<difficulty>.json  ->  { formatVersion, meta, puzzles: [serializedPuzzle, ...] }
+ *  Each puzzle also carries its id (grid hash) and rating { score, tier } (see rating.js).
+ *
+ * Notes:
+ *  - The client cycles through pool.puzzles with a per-mode cursor saved in localStorage,
+ *    so --append only ever adds puzzles at the end: existing entries keep their index and
+ *    a player's cursor keeps pointing at the same next puzzle.
+ *  - Puzzles are de-duplicated by word set and by a hash of the letter grid, both within
+ *    the run and against what is already in the file.
+ *  - Quality filters: --min-fill (share of the board the crossword spans), --max-waves
+ *    (deepest slot queue), --unique (single valid filling, see uniqueness.js) and
+ *    --score (difficulty rating band, applied while generating).
+ *  - --words takes the name of a list in ./wordlists/index.json or a path to a word file
+ *    (one word per line, '#' comments, or a JSON array; see dictionary.js) instead of the
+ *    built-in list. The blocklist applies either way, and meta.wordList records which list
+ *    a pool was built from.
+ *  - Existing pools are migrated to the current format on --append, and every pool is
+ *    validated against ./puzzle-schema.js before it is written.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as Core from './puzzle-core.js';
+import * as Schema from './puzzle-schema.js';
+import * as Dictionary from './dictionary.js';
+
+// Helpers
+function ensureDirSync(p) {
+  if (!fs.existsSync(p)) fs.mkdirSync(p, { recursive: true });
+}
+
+function splitList(v, allowed) {
+  const items = String(v).split(',').map(s => s.trim()).filter(Boolean);
+  const bad = items.filter(s => !allowed.includes(s));
+  if (bad.length) {
+    console.error(`Unknown value(s): ${bad.join(', ')} (expected ${allowed.join(', ')})`);
+    process.exit(2);
+  }
+  return items;
+}
+
+/* A GenerationError's message already says which budget ran out and what was discarded */
+function describeError(err) {
+  return err?.name === 'GenerationError' ? err.message : err;
+}
+
+/* --max-waves: a whole number of waves, at least 1 */
+function parseMaxWaves(v) {
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 1) {
+    console.error(`Invalid --max-waves value: ${v} (expected a whole number >= 1)`);
+    process.exit(2);
+  }
+  return n;
+}
+
+/* "40-70" -> [40, 70] (difficulty score band, 0-100) */
+function parseScoreRange(v) {
+  const m = String(v).match(/^(\d+)-(\d+)$/);
+  const range = m && [Number(m[1]), Number(m[2])];
+  if (!range || range[0] > range[1] || range[1] > 100) {
+    console.error(`Invalid --score value: ${v} (expected MIN-MAX within 0-100)`);
+    process.exit(2);
+  }
+  return range;
+}
+
+const WORD_LISTS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'wordlists');
+
+/* A shipped list's file for a --words name, or null if there is no list by that name */
+function shippedListPath(name) {
+  const index = JSON.parse(fs.readFileSync(path.join(WORD_LISTS_DIR, 'index.json'), 'utf8'));
+  const entry = Dictionary.parseWordListIndex(index).find(l => l.name === name);
+  return entry ? path.join(WORD_LISTS_DIR, entry.file) : null;
+}
+
+/* --words name or path -> { source, words } (exits when it cannot be read or holds no usable word) */
+function readWordList(nameOrPath) {
+  try {
+    const shipped = fs.existsSync(nameOrPath) ? null : shippedListPath(nameOrPath);
+    const words = Dictionary.parseWordList(fs.readFileSync(shipped ?? nameOrPath, 'utf8'));
+    return { source: shipped ? nameOrPath : path.basename(nameOrPath), words };
+  } catch (err) {
+    console.error(`Could not read word list ${nameOrPath}: ${err.message}`);
+    process.exit(2);
+  }
+}
+
+// CLI parsing (very small, no deps)
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const out = {
+    count: 50,
+    sizes: Object.keys(Core.SIZE_PRESETS),
+    difficulties: Core.DIFFICULTIES.slice(),
+    outDir: './puzzles',
+    append: false,
+    seed: null,
+    unique: false,
+    maxWaves: 4,
+    minFill: 0.75,
+    maxAttempts: null,
+    scoreRange: null,
+    wordList: { source: Dictionary.STANDARD_LIST, words: Dictionary.STANDARD_WORDS }
+  };
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === '--count' && args[i+1]) { out.count = Math.max(1, Number(args[++i]) || 1); }
+    else if (a === '--sizes' && args[i+1]) { out.sizes = splitList(args[++i], Object.keys(Core.SIZE_PRESETS)); }
+    else if (a === '--difficulties' && args[i+1]) { out.difficulties = splitList(args[++i], Core.DIFFICULTIES); }
+    else if (a === '--out' && args[i+1]) { out.outDir = args[++i]; }
+    else if (a === '--append') { out.append = true; }
+    else if (a === '--seed' && args[i+1]) { out.seed = args[++i]; }
+    else if (a === '--unique') { out.unique = true; }
+    else if (a === '--max-waves' && args[i+1]) { out.maxWaves = parseMaxWaves(args[++i]); }
+    else if (a === '--min-fill' && args[i+1]) { out.minFill = Number(args[++i]) || 0; }
+    else if (a === '--max-attempts' && args[i+1]) { out.maxAttempts = Number(args[++i]) || null; }
+    else if (a === '--score' && args[i+1]) { out.scoreRange = parseScoreRange(args[++i]); }
+    else if (a === '--words' && args[i+1]) { out.wordList = readWordList(args[++i]); }
+    else if (a === '--help' || a === '-h') {
+      console.log('Usage: node generate-pool.js [--count N] [--sizes small,medium,large] [--difficulties easy,balanced,hard]\n' +
+        '                        [--out ./puzzles] [--append] [--seed S] [--unique] [--max-waves N] [--min-fill 0..1]\n' +
+        '                        [--max-attempts N] [--score MIN-MAX] [--words name|path]');
+      process.exit(0);
+    }
+  }
+  return out;
+}
+
+/* Word-set key: order-independent, so the same words in another layout count as a repeat */
+function wordSetKey(words) {
+  return [...words].sort().join(',');
+}
+
+/* Hash of the letter grid (shape + letters) */
+function gridHash(grid, letters) {
+  const rows = grid.map((row, r) => row.map((v, c) => (v === 1 ? letters.get(`${r},${c}`) || '?' : '.')).join(''));
+  return Core.hashStringToUint32(rows.join('/')).toString(16).padStart(8, '0');
+}
+
+/* Share of the board the crossword spans (largest of row/column extent) */
+function fillRatio(letters, N) {
+  const rs = [], cs = [];
+  for (const key of letters.keys()) {
+    const [r, c] = key.split(',').map(Number);
+    rs.push(r);
+    cs.push(c);
+  }
+  const span = Math.max(Math.max(...rs) - Math.min(...rs) + 1, Math.max(...cs) - Math.min(...cs) + 1);
+  return span / N;
+}
+
+function waveDepth(slotAssignment) {
+  let max = 0;
+  for (const info of slotAssignment.byCell.values()) max = Math.max(max, (info.wave ?? 0) + 1);
+  return max;
+}
+
+function readPool(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  try {
+    const json = Schema.loadPuzzleFile(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    return Array.isArray(json.puzzles) ? json : null;
+  } catch (err) {
+    console.error(`  ✖ Could not read existing pool ${filePath}:`, err.message);
+    process.exit(1);
+  }
+}
+
+function buildPool(sizeKey, difficulty, opts, existing) {
+  const preset = Core.getPreset(sizeKey);
+  const puzzles = existing ? existing.puzzles.slice() : [];
+
+  const seenWords = new Set();
+  const seenGrids = new Set();
+  for (const p of puzzles) {
+    const hydrated = Core.rehydrateStoredPuzzle(p);
+    seenWords.add(wordSetKey(hydrated.words));
+    seenGrids.add(gridHash(hydrated.grid, hydrated.letters));
+  }
+
+  // Offset the seed by what is already there so appending never replays old draws
+  const rng = opts.seed != null
+    ? Core.createSeededRng(`${opts.seed}:${sizeKey}:${difficulty}:${puzzles.length}`)
+    : undefined;
+
+  const stats = { added: 0, attempts: 0, duplicates: 0, filtered: 0 };
+  const maxAttempts = opts.maxAttempts ?? opts.count * 20;
+
+  while (stats.added < opts.count && stats.attempts < maxAttempts) {
+    stats.attempts++;
+    let out;
+    try {
+      out = Core.generatePresetPuzzle(sizeKey, difficulty, {
+        rng, requireUnique: opts.unique, scoreRange: opts.scoreRange, words: opts.wordList.words
+      });
+    } catch (err) {
+      // The preset ran out of generation budget; keep what was built so far
+      if (err?.name !== 'GenerationError') throw err;
+      stats.error = err.message;
+      break;
+    }
+
+    if (fillRatio(out.letters, preset.N) < opts.minFill || waveDepth(out.slotAssignment) > opts.maxWaves) {
+      stats.filtered++;
+      continue;
+    }
+
+    const wKey = wordSetKey(out.words);
+    const gKey = gridHash(out.grid, out.letters);
+    if (seenWords.has(wKey) || seenGrids.has(gKey)) {
+      stats.duplicates++;
+      continue;
+    }
+    seenWords.add(wKey);
+    seenGrids.add(gKey);
+
+    const { score, tier } = Core.ratePuzzle(out, opts.wordList.words);
+    puzzles.push({ id: gKey, rating: { score, tier }, ...Core.serializePuzzleForStorage(out) });
+    stats.added++;
+  }
+
+  const now = new Date().toISOString();
+  const meta = {
+    sizeKey,
+    difficulty,
+    count: puzzles.length,
+    preset,
+    filters: { minFill: opts.minFill, maxWaves: opts.maxWaves, unique: opts.unique, scoreRange: opts.scoreRange },
+    seed: opts.seed,
+    wordList: { source: opts.wordList.source, words: opts.wordList.words.length },
+    createdAt: existing?.meta?.createdAt ?? now,
+    updatedAt: now
+  };
+  const pool = { formatVersion: Schema.PUZZLE_FORMAT_VERSION, meta, puzzles };
+  const errors = Schema.validatePuzzleFile(pool);
+  if (errors.length) throw new Error(`Pool fails validation: ${errors.slice(0, 5).join('; ')}`);
+  return { pool, stats };
+}
+
+// Main
+(async function main() {
+  const opts = parseArgs();
+  const rootDir = path.resolve(process.cwd(), opts.outDir);
+  ensureDirSync(rootDir);
+
+  let shortfall = false;
+  for (const sizeKey of opts.sizes) {
+    for (const difficulty of opts.difficulties) {
+      const fileName = `pool-${sizeKey}-${difficulty}.json`;
+      const filePath = path.join(rootDir, fileName);
+      const existing = opts.append ? readPool(filePath) : null;
+
+      try {
+        const { pool, stats } = buildPool(sizeKey, difficulty, opts, existing);
+        const summary = `${stats.attempts} attempts, ${stats.duplicates} duplicates, ${stats.filtered} filtered`;
+        if (!stats.added) {
+          // Nothing new: leave the file (or its absence) as it was
+          shortfall = true;
+          console.error(`  ✖ ${fileName}: no new puzzles, file not written (${summary})`);
+          if (stats.error) console.error(`  ✖ ${fileName}: ${stats.error}`);
+          continue;
+        }
+        fs.writeFileSync(filePath, JSON.stringify(pool, null, 2), 'utf8');
+        console.log(`  ✔ ${fileName}: +${stats.added} (total ${pool.puzzles.length}; ${summary})`);
+        if (stats.error) console.error(`  ✖ ${fileName}: ${stats.error}`);
+        if (stats.added < opts.count) {
+          shortfall = true;
+          console.warn(`  ! ${fileName}: only ${stats.added}/${opts.count} new puzzles passed the filters`);
+        }
+      } catch (err) {
+        shortfall = true;
+        console.error(`  ✖ Error generating ${fileName}:`, describeError(err));
+      }
+    }
+  }
+
+  console.log('Done.');
+  if (shortfall) process.exitCode = 1;
+})();
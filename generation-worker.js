@@ -0,0 +1,23 @@
+// generation-worker.js — module worker that runs puzzle generation off the main thread
+//
+// In:  { id, sizeKey, difficulty, dateStr?, words? }
+//      dateStr set: the seeded daily for that date; words: a custom list (free play only)
+// Out: { id, type: 'progress', attempts }      after every grid that did not fit the board
+//      { id, type: 'done', puzzle }            the padded puzzle (Maps survive postMessage)
+//      { id, type: 'error', message, report? }   report: see GenerationError in generator.js
+// A run cannot be interrupted from inside; generation.js terminates the worker to abort.
+
+import * as Core from './puzzle-core.js';
+
+self.addEventListener('message', (e) => {
+  const { id, sizeKey, difficulty, dateStr, words } = e.data;
+  const onAttempt = (attempts) => self.postMessage({ id, type: 'progress', attempts });
+  try {
+    const puzzle = dateStr
+      ? Core.generateDailyPuzzle({ dateStr, sizeKey, difficulty, onAttempt })
+      : Core.generatePresetPuzzle(sizeKey, difficulty, { onAttempt, words });
+    self.postMessage({ id, type: 'done', puzzle });
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err?.message || String(err), report: err?.report });
+  }
+});
@@ -0,0 +1,95 @@
+// generation.js — generate puzzles in generation-worker.js so the page stays responsive
+//
+// generatePuzzle() resolves with the same puzzle puzzle-core.js would build on the main
+// thread, or rejects with its GenerationError when the budget runs out. Aborting its
+// signal terminates the worker (a fresh one is started next time) and rejects with an
+// AbortError. Where module workers are unavailable (or the worker fails to load)
+// generation falls back to the main thread.
+
+import * as Core from './puzzle-core.js';
+
+let worker = null;
+let workerBroken = typeof Worker !== 'function';
+let nextId = 1;
+
+function abortError(signal) {
+  return signal?.reason ?? new DOMException('Generation aborted', 'AbortError');
+}
+
+function getWorker() {
+  if (!worker) worker = new Worker(new URL('./generation-worker.js', import.meta.url), { type: 'module' });
+  return worker;
+}
+
+function stopWorker() {
+  worker?.terminate();
+  worker = null;
+}
+
+/* Main-thread fallback; yields once so a loading indicator can paint first */
+async function generateHere({ sizeKey, difficulty, dateStr, words }, { signal, onProgress }) {
+  await new Promise(r => setTimeout(r, 0));
+  if (signal?.aborted) throw abortError(signal);
+  return dateStr
+    ? Core.generateDailyPuzzle({ dateStr, sizeKey, difficulty, onAttempt: onProgress })
+    : Core.generatePresetPuzzle(sizeKey, difficulty, { onAttempt: onProgress, words });
+}
+
+/**
+ * Generate a preset puzzle (or the seeded daily when dateStr is given). words: a cleaned
+ * custom list (dictionary.js) for free play; dailies ignore it.
+ * onProgress(attempts) reports grids that were discarded for not fitting the board.
+ */
+export function generatePuzzle({ sizeKey, difficulty, dateStr = null, words }, { signal, onProgress } = {}) {
+  if (signal?.aborted) return Promise.reject(abortError(signal));
+  if (workerBroken) return generateHere({ sizeKey, difficulty, dateStr, words }, { signal, onProgress });
+
+  let w;
+  try {
+    w = getWorker();
+  } catch {
+    workerBroken = true;
+    return generateHere({ sizeKey, difficulty, dateStr, words }, { signal, onProgress });
+  }
+
+  const id = nextId++;
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      w.removeEventListener('message', onMessage);
+      w.removeEventListener('error', onError);
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const onMessage = (e) => {
+      const msg = e.data;
+      if (msg?.id !== id) return;
+      if (msg.type === 'progress') {
+        onProgress?.(msg.attempts);
+      } else if (msg.type === 'done') {
+        cleanup();
+        resolve(msg.puzzle);
+      } else if (msg.type === 'error') {
+        cleanup();
+        // Error subclasses do not survive postMessage; rebuild the GenerationError
+        reject(msg.report ? new Core.GenerationError(msg.message, msg.report) : new Error(msg.message));
+      }
+    };
+    // The worker script itself failed (e.g. no module worker support): use the main thread
+    const onError = (e) => {
+      e.preventDefault?.();
+      cleanup();
+      stopWorker();
+      workerBroken = true;
+      generateHere({ sizeKey, difficulty, dateStr, words }, { signal, onProgress }).then(resolve, reject);
+    };
+    const onAbort = () => {
+      cleanup();
+      stopWorker();
+      reject(abortError(signal));
+    };
+
+    w.addEventListener('message', onMessage);
+    w.addEventListener('error', onError);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    w.postMessage({ id, sizeKey, difficulty, dateStr, words });
+  });
+}
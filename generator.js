@@ -1,3 +1,5 @@
+import { hasUniqueSolution } from './uniqueness.js';
+
 // ===============================
 // CONFIG
 // ===============================
@@ -37,11 +39,84 @@ class Board {
 }
 
 // ===============================
-// ENTRY POINTS (GUARANTEED FEASIBLE)
+// GENERATION BUDGET
 // ===============================
 
+/* Why a candidate was thrown away:
+   overlap   the words drawn do not share enough letters to connect
+   layout    the words could not be laid out as a crossword
+   density   fewer letters than minLetters asked for
+   matching  the letters could not all be given an outside slot
+   ambiguous more than one filling (requireUnique)
+   size      the grid came out larger than the board (puzzle-core.js)
+   rating    the difficulty score fell outside the requested band (puzzle-core.js) */
+export const FAILURE_CAUSES = ['overlap', 'layout', 'density', 'matching', 'ambiguous', 'size', 'rating'];
+export const DEFAULT_MAX_ATTEMPTS = 20000;
+export const DEFAULT_TIME_LIMIT_MS = 30000;
+
 /**
- * Synchronous, guaranteed to return a puzzle.
+ * Thrown when a budget runs out (reason 'attempts' | 'timeout') or the dictionary
+ * cannot produce a puzzle at all (reason 'dictionary').
+ * report: { reason, attempts, elapsedMs, failures: { <cause>: count } }
+ */
+export class GenerationError extends Error {
+  constructor(message, report) {
+    super(message);
+    this.name = 'GenerationError';
+    this.report = report;
+  }
+}
+
+/* Shared by every attempt of one generation (pass it on to keep counting across calls) */
+export function createGenerationBudget({ maxAttempts = DEFAULT_MAX_ATTEMPTS, timeLimitMs = DEFAULT_TIME_LIMIT_MS } = {}) {
+  const startedAt = Date.now();
+  return {
+    maxAttempts,
+    timeLimitMs,
+    startedAt,
+    deadline: startedAt + timeLimitMs,
+    attempts: 0,
+    failures: Object.fromEntries(FAILURE_CAUSES.map(c => [c, 0]))
+  };
+}
+
+export function generationReport(budget, reason = null) {
+  return { reason, attempts: budget.attempts, elapsedMs: Date.now() - budget.startedAt, failures: { ...budget.failures } };
+}
+
+export function recordFailure(budget, cause) {
+  budget.failures[cause]++;
+}
+
+function describeFailures(failures) {
+  const parts = FAILURE_CAUSES.filter(c => failures[c]).map(c => `${c} ${failures[c]}`);
+  return parts.length ? ` (discarded: ${parts.join(', ')})` : '';
+}
+
+function budgetExhausted(budget, reason) {
+  const report = generationReport(budget, reason);
+  const limit = reason === 'timeout'
+    ? `${budget.timeLimitMs / 1000} s`
+    : `${report.attempts} attempts`;
+  return new GenerationError(`No puzzle found within ${limit}${describeFailures(report.failures)}`, report);
+}
+
+function checkDeadline(budget) {
+  if (Date.now() > budget.deadline) throw budgetExhausted(budget, 'timeout');
+}
+
+function startAttempt(budget) {
+  if (budget.attempts >= budget.maxAttempts) throw budgetExhausted(budget, 'attempts');
+  checkDeadline(budget);
+  budget.attempts++;
+}
+
+// ===============================
+// ENTRY POINTS
+// ===============================
+
+/**
+ * Synchronous; returns a puzzle or throws a GenerationError once its budget is spent.
  * This version supports multi-wave outside slot assignment so boards may contain
  * more letters than a single perimeter (4N) exposes at once.
  *
@@ -50,6 +125,13 @@ class Board {
  * - minWordLen, maxWordLen, wordCount
  * - minLetters: target minimum letters to push density (use for large; 0 disables)
  * - maxWordCountCap: defensive cap when adapting wordCount upward
+ * - requireUnique: reject puzzles whose row/column + dictionary constraints admit
+ *   more than one filling (see uniqueness.js)
+ * - rng: () => number in [0, 1); pass a seeded generator (see createSeededRng) for
+ *   deterministic output. Defaults to Math.random.
+ * - maxAttempts, timeLimitMs: budget for this call, or
+ * - budget: one from createGenerationBudget, shared with the caller (whose failure
+ *   counts it keeps); takes precedence over maxAttempts/timeLimitMs
  */
 export function generateFeasiblePuzzle(
   dictionary,
@@ -60,22 +142,46 @@ export function generateFeasiblePuzzle(
     wordCount = WORD_COUNT,
     minLetters = 0,
     maxWordCountCap = WORD_COUNT + 8, // allow bumping up to ~19 by default
+    requireUnique = false,
+    rng = Math.random,
+    maxAttempts,
+    timeLimitMs,
+    budget = createGenerationBudget({ maxAttempts, timeLimitMs }),
   } = {}
 ) {
   // We adaptively adjust wordCount to meet minLetters without exceeding a sane cap.
   let adaptiveWordCount = Math.max(1, wordCount);
 
+  // No amount of retrying helps a dictionary without enough words in range
+  const inRange = dictionary.filter(w => w.length >= minWordLen && w.length <= maxWordLen).length;
+  if (inRange < adaptiveWordCount) {
+    throw new GenerationError(
+      `Dictionary has ${inRange} word(s) of ${minWordLen}–${maxWordLen} letters; ${adaptiveWordCount} are needed`,
+      generationReport(budget, 'dictionary')
+    );
+  }
+
   for (;;) {
-    const words = pickConnectedWords(dictionary, {
-      minWordLen, maxWordLen, wordCount: adaptiveWordCount
-    });
+    startAttempt(budget);
+    let words;
+    try {
+      words = pickConnectedWords(dictionary, {
+        minWordLen, maxWordLen, wordCount: adaptiveWordCount, rng
+      });
+    } catch (err) {
+      // Only a draw that did not connect is a discarded attempt; anything else is a bug
+      if (err?.message !== INSUFFICIENT_OVERLAP) throw err;
+      recordFailure(budget, 'overlap');
+      continue;
+    }
     const overlaps = buildOverlapMap(words);
     const board = new Board();
 
     placeAnchor(board, words[0]);
 
-    if (!solve(board, words.slice(1), overlaps)) {
+    if (!solve(board, words.slice(1), overlaps, budget)) {
       // Try again with a fresh selection
+      recordFailure(budget, 'layout');
       continue;
     }
 
@@ -90,6 +196,7 @@ export function generateFeasiblePuzzle(
       if (adaptiveWordCount < maxWordCountCap) {
         adaptiveWordCount++;
       }
+      recordFailure(budget, 'density');
       continue;
     }
 
@@ -97,44 +204,29 @@ export function generateFeasiblePuzzle(
     const assignment = assignOutsideSlotsInWaves(out.grid, out.letters, { difficulty });
     if (!assignment) {
       // Matching failed; fresh attempt (the next selection may match)
+      recordFailure(budget, 'matching');
       continue;
     }
 
     out.slotAssignment = assignment;
+
+    if (requireUnique && !hasUniqueSolution(out, { dictionary })) {
+      // Ambiguous for the player; fresh attempt
+      recordFailure(budget, 'ambiguous');
+      continue;
+    }
     return out;
   }
 }
 
 /**
- * Async variant with periodic yielding to keep UI responsive.
- * Options mirror generateFeasiblePuzzle plus yieldEvery.
+ * Seed -> puzzle. Same seed, dictionary and options give the same puzzle in Node
+ * and every browser: the RNG is explicit (no Math.random) and the shuffle does not
+ * depend on the engine's sort implementation.
+ * seed: string (hashed) or 32-bit number.
  */
-export async function generateFeasiblePuzzleAsync(
-  dictionary,
-  {
-    yieldEvery = 25,
-    difficulty = 'balanced',
-    minWordLen = MIN_WORD_LEN,
-    maxWordLen = MAX_WORD_LEN,
-    wordCount = WORD_COUNT,
-    minLetters = 0,
-    maxWordCountCap = WORD_COUNT + 8,
-  } = {}
-) {
-  let attempts = 0;
-  let adaptiveWordCount = Math.max(1, wordCount);
-
-  for (;;) {
-    attempts++;
-    const out = generateFeasiblePuzzle(dictionary, {
-      difficulty, minWordLen, maxWordLen, wordCount: adaptiveWordCount,
-      minLetters, maxWordCountCap
-    });
-    if (out) return { ...out, attempts };
-    if (attempts % yieldEvery === 0) {
-      await new Promise(r => setTimeout(r, 0));
-    }
-  }
+export function generateSeededPuzzle(dictionary, seed, options = {}) {
+  return generateFeasiblePuzzle(dictionary, { ...options, rng: createSeededRng(seed) });
 }
 
 // ===============================
@@ -403,15 +495,18 @@ export function assignOutsideSlotsInWaves(grid, letters, { difficulty = 'balance
 // ===============================
 // WORD SELECTION (CONNECTED GRAPH)
 // ===============================
-function pickConnectedWords(
+const INSUFFICIENT_OVERLAP = 'Insufficient overlap';
+
+export function pickConnectedWords(
   dict,
   {
     minWordLen = MIN_WORD_LEN,
     maxWordLen = MAX_WORD_LEN,
     wordCount = WORD_COUNT,
+    rng = Math.random,
   } = {}
 ) {
-  const pool = shuffle(dict).filter(w => w.length >= minWordLen && w.length <= maxWordLen);
+  const pool = shuffle(dict, rng).filter(w => w.length >= minWordLen && w.length <= maxWordLen);
   if (!pool.length) throw new Error('No words in dictionary range');
 
   const chosen = [pool.pop()];
@@ -421,7 +516,7 @@ function pickConnectedWords(
     chosen.push(next);
     pool.splice(pool.indexOf(next), 1);
   }
-  if (chosen.length < wordCount) throw new Error('Insufficient overlap');
+  if (chosen.length < wordCount) throw new Error(INSUFFICIENT_OVERLAP);
   return chosen;
 }
 
@@ -465,8 +560,10 @@ function placeAnchor(board, word) {
 // ===============================
 // BACKTRACKING SOLVER
 // ===============================
-function solve(board, remaining, overlaps) {
+function solve(board, remaining, overlaps, budget) {
   if (!remaining.length) return true;
+  // Backtracking can blow up on unlucky word sets; keep the time budget honest
+  checkDeadline(budget);
 
   remaining.sort((a, b) => overlapDegree(a, overlaps) - overlapDegree(b, overlaps));
   const word = remaining[0];
@@ -478,7 +575,7 @@ function solve(board, remaining, overlaps) {
     for (const { i, j } of shared) {
       const dir = placed.dir === 'H' ? 'V' : 'H';
       if (tryPlace(board, word, placed, i, j, dir)) {
-        if (solve(board, remaining.slice(1), overlaps)) return true;
+        if (solve(board, remaining.slice(1), overlaps, budget)) return true;
         undo(board, word);
       }
     }
@@ -586,4 +683,38 @@ function finalize(board) {
 // ===============================
 // UTILS
 // ===============================
-function shuffle(arr) { return [...arr].sort(() => Math.random() - 0.5); }
\ No newline at end of file
+/* Unbiased Fisher–Yates; returns a shuffled copy */
+export function shuffle(arr, rng = Math.random) {
+  const out = [...arr];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/* Simple string -> 32-bit hash (FNV-1a, deterministic) */
+export function hashStringToUint32(str) {
+  let h = 2166136261 >>> 0;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619) >>> 0;
+  }
+  return h >>> 0;
+}
+
+/* Mulberry32 PRNG (returns function that yields 0..1) */
+export function mulberry32(seed) {
+  let t = seed >>> 0;
+  return function() {
+    t += 0x6D2B79F5;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r ^= r + Math.imul(r ^ (r >>> 7), r | 61);
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/* Seeded RNG from a string (hashed) or a 32-bit number */
+export function createSeededRng(seed) {
+  return mulberry32(typeof seed === 'number' ? seed : hashStringToUint32(String(seed)));
+}
\ No newline at end of file
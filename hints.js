@@ -0,0 +1,262 @@
+// hints.js — graded hints for a stuck player
+//
+// Each press of the hint button goes one level deeper until the board changes:
+//  1. forced  — point at a slot token the logical solver (solver.js) can place without
+//               guessing: the last empty cell of its line, the only cell its letter fits
+//               given the crossing words, or the only letter able to fill some cell
+//  2. narrow  — show the cells in a token's row/column where its letter actually belongs
+//  3. wrong   — flag a placed letter that does not match the solution (or that blocks the rest)
+//  4. reveal  — place one token in a correct cell
+// A level with nothing to offer falls through to the next one. Usage is counted per game
+// in State (and saved with the game's progress).
+
+import * as State from './state.js';
+import * as DOM from './dom.js';
+import * as Tokens from './tokens.js';
+import * as Save from './savegame.js';
+import * as Solver from './solver.js';
+import { STANDARD_WORDS } from './dictionary.js';
+
+const { HINT_LEVELS } = State;
+
+let nextLevel = 0;
+let boardKey = null;
+
+/* ===== Analysis (pure reads of State) ===== */
+
+/* Outside tokens the player can currently pick up */
+function visibleTokens() {
+  return [...State.tokensValues()].filter(t => !t.placed && t.el);
+}
+
+function isRowToken(tok) {
+  return tok.side === 'L' || tok.side === 'R';
+}
+
+/* Empty fillable cells in a token's row/column */
+function emptyCellsFor(tok) {
+  const grid = State.getGridRef();
+  const N = State.getN();
+  const occupied = occupiedCells();
+
+  const out = [];
+  for (let i = 0; i < N; i++) {
+    const [r, c] = isRowToken(tok) ? [tok.index, i] : [i, tok.index];
+    const key = `${r},${c}`;
+    if (grid[r]?.[c] === 1 && !occupied.has(key)) out.push(key);
+  }
+  return out;
+}
+
+/* Cells currently holding a placed token */
+function occupiedCells() {
+  const occupied = new Set();
+  for (const t of State.tokensValues()) if (t.placed && t.currentCellKey) occupied.add(t.currentCellKey);
+  return occupied;
+}
+
+/**
+ * Can every token not yet on the board (including queued waves) still reach a cell
+ * with its letter, given the current placements plus `assume` ([tokenId, cellKey] pairs)
+ * and minus `lift` (placed token ids treated as back in their slots)?
+ * Tokens are identified by their solution cell, so the token universe is the solution.
+ */
+function canComplete({ assume = [], lift = [] } = {}) {
+  const solution = State.getSolutionLetters();
+  const byCell = State.getSlotAssignment()?.byCell;
+  if (!byCell) return false;
+
+  const placedAt = new Map(); // tokenId -> cellKey
+  for (const t of State.tokensValues()) if (t.placed && t.currentCellKey) placedAt.set(t.id, t.currentCellKey);
+  for (const id of lift) placedAt.delete(id);
+  for (const [id, key] of assume) placedAt.set(id, key);
+
+  const taken = new Set(placedAt.values());
+  const freeCells = [...solution.keys()].filter(k => !taken.has(k));
+  const pending = [...solution.keys()].filter(id => !placedAt.has(id));
+  if (freeCells.length !== pending.length) return false;
+
+  const cellsFor = pending.map(id => {
+    const info = byCell.get(id);
+    const letter = solution.get(id);
+    return freeCells.filter(k => {
+      const [r, c] = k.split(',').map(Number);
+      const onLine = (info.side === 'L' || info.side === 'R') ? r === info.index : c === info.index;
+      return onLine && solution.get(k) === letter;
+    });
+  });
+
+  // Kuhn's augmenting paths: perfect matching of pending tokens to free cells
+  const owner = new Map(); // cellKey -> pending index
+  function augment(i, seen) {
+    for (const k of cellsFor[i]) {
+      if (seen.has(k)) continue;
+      seen.add(k);
+      if (!owner.has(k) || augment(owner.get(k), seen)) {
+        owner.set(k, i);
+        return true;
+      }
+    }
+    return false;
+  }
+  return pending.every((_, i) => augment(i, new Set()));
+}
+
+/* Empty cells in a token's line where it can go and the board can still be finished */
+function correctCellsFor(tok) {
+  const solution = State.getSolutionLetters();
+  return emptyCellsFor(tok).filter(key =>
+    solution.get(key) === tok.letter && canComplete({ assume: [[tok.id, key]] })
+  );
+}
+
+/* The solver's next deduction from the board as it is (only while every letter is right) */
+function findForced() {
+  const solution = State.getSolutionLetters();
+  const placed = [];
+  for (const t of State.tokensValues()) {
+    if (!t.placed || !t.currentCellKey) continue;
+    if (solution.get(t.currentCellKey) !== t.letter) return null;
+    placed.push([t.id, t.currentCellKey]);
+  }
+  const puzzle = {
+    grid: State.getGridRef(),
+    letters: solution,
+    words: State.getWords(),
+    slotAssignment: State.getSlotAssignment()
+  };
+  const step = Solver.nextLogicalStep(puzzle, { dictionary: State.getDictionary() ?? STANDARD_WORDS, placed });
+  if (!step || step.rule === 'guess' || !State.getToken(step.tokenId)?.el) return null;
+  return { level: 'forced', tokenId: step.tokenId, cells: [step.cellKey], rule: step.rule, reason: step.reason };
+}
+
+/* Prefer the selected token, then the one whose line leaves the most room for error */
+function findNarrow() {
+  const selected = State.getToken(State.getSelectedTokenId());
+  const candidates = selected && !selected.placed ? [selected, ...visibleTokens()] : visibleTokens();
+  let best = null;
+  for (const tok of candidates) {
+    const legal = emptyCellsFor(tok).length;
+    const cells = correctCellsFor(tok);
+    if (!cells.length || cells.length >= legal) continue;
+    if (tok === selected) return { level: 'narrow', tokenId: tok.id, cells };
+    const gain = legal - cells.length;
+    if (!best || gain > best.gain) best = { tokenId: tok.id, cells, gain };
+  }
+  return best && { level: 'narrow', tokenId: best.tokenId, cells: best.cells };
+}
+
+/* A letter in the wrong cell, else a right letter that strands the remaining tokens
+   (identical letters are interchangeable, but only within a token's own row/column) */
+function findWrong() {
+  const solution = State.getSolutionLetters();
+  const placed = [...State.tokensValues()].filter(t => t.placed && t.currentCellKey);
+  for (const tok of placed) {
+    if (solution.get(tok.currentCellKey) !== tok.letter) {
+      return { level: 'wrong', tokenId: tok.id, cells: [tok.currentCellKey] };
+    }
+  }
+  if (canComplete()) return null;
+  for (const tok of placed) {
+    if (tok.currentCellKey !== tok.id && canComplete({ lift: [tok.id] })) {
+      return { level: 'wrong', tokenId: tok.id, cells: [tok.currentCellKey] };
+    }
+  }
+  return null;
+}
+
+/* Prefer a token's own solution cell; any cell that keeps the board finishable will do */
+function findReveal() {
+  const occupied = occupiedCells();
+  for (const tok of visibleTokens()) {
+    if (!occupied.has(tok.id) && canComplete({ assume: [[tok.id, tok.id]] })) {
+      return { level: 'reveal', tokenId: tok.id, cells: [tok.id] };
+    }
+  }
+  for (const tok of visibleTokens()) {
+    const cells = correctCellsFor(tok);
+    if (cells.length) return { level: 'reveal', tokenId: tok.id, cells: [cells[0]] };
+  }
+  return null;
+}
+
+const FINDERS = { forced: findForced, narrow: findNarrow, wrong: findWrong, reveal: findReveal };
+
+/**
+ * The hint the engine would give at `level` or deeper, without applying it.
+ * Returns { level, tokenId, cells } or null when the board is solved or nothing applies;
+ * a forced hint also carries the solver's rule and its reason text.
+ */
+export function computeHint(level = 'forced') {
+  if (State.getBoardStatus() === 'solved') return null;
+  for (let i = Math.max(0, HINT_LEVELS.indexOf(level)); i < HINT_LEVELS.length; i++) {
+    const hint = FINDERS[HINT_LEVELS[i]]();
+    if (hint) return hint;
+  }
+  return null;
+}
+
+/* ===== Applying hints ===== */
+
+function solutionLetterAt(cellKey) {
+  return State.getSolutionLetters().get(cellKey);
+}
+
+function currentBoardKey() {
+  return JSON.stringify(Tokens.capturePlayState().placed);
+}
+
+/* Says which rule forces the token, not where it goes */
+function forcedMessage(hint, tok) {
+  const line = isRowToken(tok) ? 'row' : 'column';
+  if (hint.rule === 'only-cell') return `“${tok.letter}” fits only one cell of its ${line} once the crossing words are checked`;
+  if (hint.rule === 'only-token') return `“${tok.letter}” is the only letter that can fill one of the cells in its ${line}`;
+  return `“${tok.letter}” has only one place left`;
+}
+
+/* Give the next hint for the current board and count it. Returns the hint or null. */
+export function requestHint() {
+  const key = currentBoardKey();
+  if (key !== boardKey) nextLevel = 0;
+
+  DOM.clearHintMarks();
+  let hint = computeHint(HINT_LEVELS[nextLevel]);
+  // Past the deepest level: start over from the gentlest hint
+  if (!hint && nextLevel > 0) hint = computeHint(HINT_LEVELS[0]);
+  if (!hint) {
+    DOM.showToast('No hint available');
+    return null;
+  }
+
+  State.recordHint(hint.level);
+  nextLevel = (HINT_LEVELS.indexOf(hint.level) + 1) % HINT_LEVELS.length;
+
+  const tok = State.getToken(hint.tokenId);
+  switch (hint.level) {
+    case 'forced':
+      DOM.markHintToken(tok?.el);
+      DOM.showToast(forcedMessage(hint, tok));
+      break;
+    case 'narrow':
+      Tokens.selectToken(hint.tokenId);
+      DOM.markHintCells(hint.cells, 'hint-candidate');
+      DOM.showToast(`“${tok.letter}” belongs in one of the marked cells`);
+      break;
+    case 'wrong':
+      DOM.markHintCells(hint.cells, 'hint-wrong');
+      DOM.showToast(solutionLetterAt(hint.cells[0]) === tok.letter
+        ? `“${tok.letter}” fits here, but blocks the remaining letters`
+        : `“${tok.letter}” is in the wrong place`);
+      break;
+    case 'reveal':
+      Tokens.placeToken(hint.tokenId, hint.cells[0], { viaHint: true });
+      DOM.markHintCells(hint.cells, 'hint-reveal');
+      DOM.showToast(`Revealed “${tok.letter}”`);
+      break;
+  }
+
+  // A reveal changes the board, so remember the board as it is now
+  boardKey = currentBoardKey();
+  Save.saveProgress();
+  return hint;
+}
@@ -0,0 +1,72 @@
+// history.js — undo/redo for token placements and returns
+//
+// Each move is recorded as a command { type: 'place' | 'return' | 'move', tokenId, cellKey, before, after }
+// ('move' also carries `from`, the cell a dragged board letter came from)
+// where before/after are Tokens.capturePlayState() snapshots. Snapshots (rather than inverse
+// operations) also cover what the move did to slot cursors and active slot tokens, including
+// the next wave token emitted by Slots.emitNextTokenIntoSlot.
+
+import * as State from './state.js';
+import * as Tokens from './tokens.js';
+import * as Save from './savegame.js';
+
+const MAX_HISTORY = 500;
+
+const undoStack = [];
+const redoStack = [];
+const listeners = new Set();
+
+function notify() {
+  const info = { canUndo: canUndo(), canRedo: canRedo() };
+  for (const fn of listeners) {
+    try { fn(info); } catch {}
+  }
+}
+
+/* Subscribe to availability changes ({ canUndo, canRedo }); returns an unsubscribe function */
+export function onChange(fn) {
+  listeners.add(fn);
+  fn({ canUndo: canUndo(), canRedo: canRedo() });
+  return () => listeners.delete(fn);
+}
+
+/* Record a completed move; a new move discards the redo branch */
+export function record(command) {
+  undoStack.push(command);
+  if (undoStack.length > MAX_HISTORY) undoStack.shift();
+  redoStack.length = 0;
+  notify();
+}
+
+export function clear() {
+  undoStack.length = 0;
+  redoStack.length = 0;
+  notify();
+}
+
+/* A solved board is final: the celebration has already run */
+export function canUndo() { return undoStack.length > 0 && State.getBoardStatus() !== 'solved'; }
+export function canRedo() { return redoStack.length > 0 && State.getBoardStatus() !== 'solved'; }
+
+export function undo() {
+  if (!canUndo()) return null;
+  const command = undoStack.pop();
+  redoStack.push(command);
+  applySnapshot(command.before);
+  return command;
+}
+
+export function redo() {
+  if (!canRedo()) return null;
+  const command = redoStack.pop();
+  undoStack.push(command);
+  applySnapshot(command.after);
+  return command;
+}
+
+function applySnapshot(snapshot) {
+  Tokens.applyPlayState(snapshot);
+  Tokens.updateBoardStatus();
+  Save.saveProgress();
+  notify();
+}
@@ -0,0 +1,217 @@
+// keyboard.js — keyboard play with a roving focus over board cells and border slots
+//
+//  Arrows            move across the board and along/into the borders (blocked cells are skipped)
+//  Tab / Shift+Tab   jump board -> top -> right -> bottom -> left border (and on out of the game)
+//  A–Z on a cell     select a matching token that can reach the focused cell (press again to cycle)
+//  Enter / Space     on a cell: same as a click (place the selected token, or return the letter)
+//                    on a slot: select its token
+//  Backspace/Delete  return the letter on the focused cell
+//  Escape            clear the selection
+//
+// Exactly one cell or slot has tabindex="0" at a time; positions use board coordinates
+// extended by one on each side, so row -1 is the top border and column N the right one.
+
+import * as State from './state.js';
+import * as DOM from './dom.js';
+import * as Tokens from './tokens.js';
+import * as Sfx from './sfx.js';
+
+const REGIONS = ['board', 'T', 'R', 'B', 'L'];
+const SIDE_NAMES = { T: 'Top border', B: 'Bottom border', L: 'Left border', R: 'Right border' };
+const ARROWS = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+
+let focusPos = null;        // { r, c } in extended coordinates
+const lastInRegion = new Map(); // region -> { r, c }
+
+/* Install listeners once; call resetRovingFocus() after every board render */
+export function initKeyboardPlay() {
+  const root = DOM.wrapper;
+  if (!root) return;
+  root.addEventListener('keydown', onKeyDown);
+  // Clicking a cell or slot moves the roving focus there too
+  root.addEventListener('focusin', (e) => {
+    const pos = posForElement(e.target);
+    if (pos) setFocus(pos, { moveFocus: false });
+  });
+}
+
+/* New board: every cell/slot leaves the tab order except the first playable cell */
+export function resetRovingFocus() {
+  focusPos = null;
+  lastInRegion.clear();
+  const start = firstPosInRegion('board');
+  if (start) setFocus(start, { moveFocus: false });
+}
+
+/* ===== Positions ===== */
+
+function regionOf({ r, c }) {
+  const N = State.getN();
+  if (r === -1) return 'T';
+  if (r === N) return 'B';
+  if (c === -1) return 'L';
+  if (c === N) return 'R';
+  return 'board';
+}
+
+/* Element at a position: a fillable cell, a border slot, or null (blocked, corner, off the frame) */
+function elementAt({ r, c }) {
+  const N = State.getN();
+  const onBoardR = r >= 0 && r < N;
+  const onBoardC = c >= 0 && c < N;
+  if (onBoardR && onBoardC) {
+    return State.getGridRef()[r]?.[c] === 1 ? DOM.getCellEl(`${r},${c}`) : null;
+  }
+  if (r === -1 && onBoardC) return DOM.getSlotEl(`T:${c}`);
+  if (r === N && onBoardC) return DOM.getSlotEl(`B:${c}`);
+  if (c === -1 && onBoardR) return DOM.getSlotEl(`L:${r}`);
+  if (c === N && onBoardR) return DOM.getSlotEl(`R:${r}`);
+  return null;
+}
+
+function posForElement(el) {
+  const cell = el?.closest?.('.cell.fillable');
+  if (cell) return { r: Number(cell.dataset.r), c: Number(cell.dataset.c) };
+  const slot = el?.closest?.('.slot');
+  if (!slot) return null;
+  const i = Number(slot.dataset.index);
+  const N = State.getN();
+  return { T: { r: -1, c: i }, B: { r: N, c: i }, L: { r: i, c: -1 }, R: { r: i, c: N } }[slot.dataset.side] ?? null;
+}
+
+/* Step in a direction, skipping blocked cells; null at the edge of the frame */
+function step(pos, [dr, dc]) {
+  const N = State.getN();
+  let { r, c } = pos;
+  for (;;) {
+    r += dr;
+    c += dc;
+    if (r < -1 || r > N || c < -1 || c > N) return null;
+    const onBorderRow = r === -1 || r === N;
+    const onBorderCol = c === -1 || c === N;
+    if (onBorderRow && onBorderCol) return null; // corner
+    if (elementAt({ r, c })) return { r, c };
+    if (onBorderRow || onBorderCol) return null;
+  }
+}
+
+function firstPosInRegion(region) {
+  const N = State.getN();
+  if (region === 'board') {
+    for (let r = 0; r < N; r++) {
+      for (let c = 0; c < N; c++) if (elementAt({ r, c })) return { r, c };
+    }
+    return null;
+  }
+  const positions = Array.from({ length: N }, (_, i) => ({
+    T: { r: -1, c: i }, B: { r: N, c: i }, L: { r: i, c: -1 }, R: { r: i, c: N }
+  }[region]));
+  // Prefer a slot that still holds a token
+  return positions.find(p => elementAt(p)?.classList.contains('occupied')) ?? positions[0] ?? null;
+}
+
+/* ===== Focus ===== */
+
+function setFocus(pos, { moveFocus = true } = {}) {
+  const el = elementAt(pos);
+  if (!el) return;
+  const prev = focusPos && elementAt(focusPos);
+  if (prev && prev !== el) prev.setAttribute('tabindex', '-1');
+  el.setAttribute('tabindex', '0');
+  if (el.classList.contains('slot')) el.setAttribute('aria-label', describeSlot(el));
+
+  focusPos = pos;
+  lastInRegion.set(regionOf(pos), pos);
+  if (moveFocus) el.focus();
+}
+
+function describeSlot(slotEl) {
+  const side = slotEl.dataset.side;
+  const line = side === 'L' || side === 'R' ? 'row' : 'column';
+  const letter = slotEl.querySelector('.token')?.textContent;
+  return `${SIDE_NAMES[side]}, ${line} ${Number(slotEl.dataset.index) + 1}: ${letter ? `letter ${letter}` : 'empty'}`;
+}
+
+function focusRegion(region) {
+  const pos = lastInRegion.get(region) ?? firstPosInRegion(region);
+  if (pos && elementAt(pos)) setFocus(pos);
+}
+
+/* ===== Actions ===== */
+
+function focusedCellKey() {
+  return focusPos && regionOf(focusPos) === 'board' ? `${focusPos.r},${focusPos.c}` : null;
+}
+
+/* Select the next outside token carrying `letter` that can be placed on the focused cell */
+function selectByLetter(letter) {
+  const cellKey = focusedCellKey();
+  if (!cellKey) return;
+  const candidates = [...State.tokensValues()]
+    .filter(t => !t.placed && t.el && t.letter === letter && Tokens.canDropOnCell(t, cellKey))
+    .sort((a, b) => a.slotId.localeCompare(b.slotId));
+  if (!candidates.length) {
+    DOM.showToast(`No “${letter}” can reach this cell`);
+    Sfx.play('invalid');
+    return;
+  }
+  const current = candidates.findIndex(t => t.id === State.getSelectedTokenId());
+  Tokens.selectToken(candidates[(current + 1) % candidates.length].id);
+}
+
+function activate() {
+  const el = elementAt(focusPos);
+  if (!el) return;
+  if (el.classList.contains('slot')) {
+    const tokenId = el.querySelector('.token')?.dataset.tokenId;
+    if (tokenId) Tokens.selectToken(tokenId);
+    return;
+  }
+  Tokens.onBoardCellClick({ currentTarget: el });
+}
+
+function clearSelection() {
+  const selected = State.getToken(State.getSelectedTokenId());
+  try { selected?.el?.classList.remove('selected'); } catch {}
+  State.clearSelectedTokenId();
+  DOM.clearAllowedHighlights();
+}
+
+function onKeyDown(e) {
+  if (!focusPos || e.ctrlKey || e.metaKey || e.altKey) return;
+  if (!posForElement(e.target)) return;
+
+  if (ARROWS[e.key]) {
+    e.preventDefault();
+    const next = step(focusPos, ARROWS[e.key]);
+    if (next) setFocus(next);
+    return;
+  }
+
+  if (e.key === 'Tab') {
+    const i = REGIONS.indexOf(regionOf(focusPos)) + (e.shiftKey ? -1 : 1);
+    // Past either end, let the browser move focus out of the game
+    if (i < 0 || i >= REGIONS.length) return;
+    e.preventDefault();
+    focusRegion(REGIONS[i]);
+    return;
+  }
+
+  if (e.key === 'Enter' || e.key === ' ') {
+    e.preventDefault();
+    e.stopPropagation();
+    activate();
+  } else if (e.key === 'Backspace' || e.key === 'Delete') {
+    const tokenId = focusedCellKey() && elementAt(focusPos)?.dataset.tokenId;
+    if (!tokenId) return;
+    e.preventDefault();
+    Tokens.returnPlacedToken(tokenId);
+  } else if (e.key === 'Escape') {
+    clearSelection();
+  } else if (/^[a-z]$/i.test(e.key) && focusedCellKey()) {
+    // Letters belong to the board here (the H hint shortcut still works elsewhere)
+    e.preventDefault();
+    e.stopPropagation();
+    selectByLetter(e.key.toUpperCase());
+  }
+}
@@ -0,0 +1,54 @@
+// motion.js — how much the game animates: 'full' | 'reduced' | 'off'
+//
+// The stored preference may also be 'auto' (the default), which follows the system's
+// prefers-reduced-motion setting and keeps following it while the page is open.
+// The effective mode is mirrored on <html data-motion="..."> for the stylesheet.
+//   reduced: no chases or confetti; a short static highlight on a win; transitions kept short
+//   off:     as reduced, and no CSS transitions or keyframe animations at all
+
+export const MOTION_MODES = ['full', 'reduced', 'off'];
+
+const MOTION_PREF_KEY = 'motionMode';
+const reduceQuery = typeof matchMedia === 'function' ? matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+const listeners = new Set();
+
+export function getMotionPreference() {
+  try {
+    const stored = localStorage.getItem(MOTION_PREF_KEY);
+    if (stored === 'auto' || MOTION_MODES.includes(stored)) return stored;
+  } catch {}
+  return 'auto';
+}
+
+/* Effective mode after resolving 'auto' */
+export function getMotionMode() {
+  const pref = getMotionPreference();
+  if (pref !== 'auto') return pref;
+  return reduceQuery?.matches ? 'reduced' : 'full';
+}
+
+export function isFullMotion() { return getMotionMode() === 'full'; }
+
+export function setMotionPreference(pref) {
+  if (pref !== 'auto' && !MOTION_MODES.includes(pref)) throw new Error(`Unknown motion setting: ${pref}`);
+  try { localStorage.setItem(MOTION_PREF_KEY, pref); } catch {}
+  applyMotion();
+}
+
+/* Subscribe to effective-mode changes; returns an unsubscribe function */
+export function onMotionChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+export function applyMotion() {
+  const mode = getMotionMode();
+  if (document.documentElement.dataset.motion === mode) return;
+  document.documentElement.dataset.motion = mode;
+  for (const fn of listeners) {
+    try { fn(mode); } catch {}
+  }
+}
+
+reduceQuery?.addEventListener?.('change', applyMotion);
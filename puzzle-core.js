@@ -0,0 +1,234 @@
+// puzzle-core.js — shared by the client (app.js) and the CLI (generate-daily.js)
+// Owns size presets, daily seeding, grid padding and puzzle (de)serialization so
+// that a daily generated in the browser is byte-for-byte the one published by the
+// generator for the same date.
+
+import { STANDARD_WORDS, STANDARD_LIST, LEGACY_WORDS, LEGACY_LIST } from './dictionary.js';
+import {
+  generateFeasiblePuzzle,
+  createGenerationBudget,
+  recordFailure,
+  createSeededRng,
+  hashStringToUint32,
+  MIN_WORD_LEN
+} from './generator.js';
+import { rateDifficulty } from './rating.js';
+import { solveLogically } from './solver.js';
+
+export { createSeededRng, hashStringToUint32, mulberry32 } from './generator.js';
+export { GenerationError, createGenerationBudget, generationReport } from './generator.js';
+export { RATING_TIERS, tierForScore } from './rating.js';
+
+/* Board presets (N = rendered board size). Word counts are what reliably fit
+   inside N; larger counts almost never produce a grid that small. */
+export const SIZE_PRESETS = {
+  small:  { N: 8,  maxWordLen: 5,  wordCount: 7  },
+  medium: { N: 11, maxWordLen: 8,  wordCount: 10 },
+  large:  { N: 16, maxWordLen: 11, wordCount: 15 }
+};
+export const DIFFICULTIES = ['easy', 'balanced', 'hard'];
+
+export function getPreset(sizeKey) {
+  return SIZE_PRESETS[sizeKey] ?? SIZE_PRESETS.large;
+}
+
+/* Return YYYY-MM-DD in UTC to use a canonical "day" worldwide */
+export function utcDateString(date = new Date()) {
+  const d = new Date(date);
+  return d.toISOString().slice(0, 10); // YYYY-MM-DD (UTC)
+}
+
+/* Seed for a daily puzzle: string form (stored in meta) and its 32-bit hash */
+export function dailySeed(dateStr, sizeKey, difficulty) {
+  const seedStr = `${dateStr}:${sizeKey}:${difficulty}`;
+  return { seedStr, seedNum: hashStringToUint32(seedStr) };
+}
+
+/* First UTC date this module generates dailies for. Earlier dailies were published by an
+   older generator it does not reproduce: their files are the only source (check-daily
+   validates them without regenerating, generate-daily will not overwrite them). */
+export const DAILY_GENERATION_FROM = '2026-01-04';
+
+export function isPublishedOnlyDaily(dateStr) {
+  return dateStr < DAILY_GENERATION_FROM;
+}
+
+/* First UTC date whose daily is drawn from the cleaned standard list (dictionary.js).
+   Earlier dates keep the list they were published (or played locally) with. */
+export const DAILY_STANDARD_LIST_FROM = '2026-11-01';
+
+/* { name, words } the daily for dateStr is generated from (name goes in the file's meta) */
+export function dailyWordList(dateStr) {
+  return dateStr < DAILY_STANDARD_LIST_FROM
+    ? { name: LEGACY_LIST, words: LEGACY_WORDS }
+    : { name: STANDARD_LIST, words: STANDARD_WORDS };
+}
+
+/* Words of the preset's lengths; `words` is a cleaned list (see dictionary.js) */
+export function buildDictionary(minLen, maxLen, words = STANDARD_WORDS) {
+  return words
+    .map(w => String(w).trim())
+    .filter(Boolean)
+    .map(w => w.toUpperCase())
+    .filter(w => w.length >= minLen && w.length <= maxLen);
+}
+
+/* Difficulty rating (see rating.js) against the preset dictionary, or all words */
+export function ratePuzzle(puzzle, dictionary = STANDARD_WORDS) {
+  return rateDifficulty(puzzle, { dictionary });
+}
+
+/* Step-by-step logical solve (see solver.js) with the same dictionary default */
+export function solvePuzzleLogically(puzzle, dictionary = STANDARD_WORDS) {
+  return solveLogically(puzzle, { dictionary });
+}
+
+/* Retry until the grid fits in targetN (and, with scoreRange [min, max], until its rating
+   lands in that band), within one budget for all attempts (a GenerationError says why
+   not). options.onAttempt(attempts) is called after every discarded grid
+   (generation-worker.js reports it as progress). */
+export function generatePuzzleWithinSize(dictionary, targetN, {
+  onAttempt, scoreRange, maxAttempts, timeLimitMs, budget = createGenerationBudget({ maxAttempts, timeLimitMs }), ...options
+} = {}) {
+  for (;;) {
+    const out = generateFeasiblePuzzle(dictionary, { ...options, budget });
+    if (out.grid.length > targetN) {
+      recordFailure(budget, 'size');
+    } else if (scoreRange && !inScoreRange(ratePuzzle(out, dictionary).score, scoreRange)) {
+      recordFailure(budget, 'rating');
+    } else {
+      return out;
+    }
+    onAttempt?.(budget.attempts);
+  }
+}
+
+function inScoreRange(score, [min = 0, max = 100]) {
+  return score >= min && score <= max;
+}
+
+/**
+ * Generate a puzzle for a size preset, padded to the preset's board size.
+ * Options: rng (defaults to Math.random), requireUnique, scoreRange, onAttempt, the
+ * budget (maxAttempts, timeLimitMs or a shared budget) described in generator.js, and
+ * words (a list cleaned by dictionary.js; defaults to the standard list).
+ */
+export function generatePresetPuzzle(sizeKey, difficulty, {
+  rng, requireUnique = false, scoreRange, onAttempt, maxAttempts, timeLimitMs, budget, words
+} = {}) {
+  const preset = getPreset(sizeKey);
+  const minWordLen = MIN_WORD_LEN;
+  const maxWordLen = preset.maxWordLen;
+  const wordCount  = preset.wordCount;
+
+  const DICT = buildDictionary(minWordLen, maxWordLen, words);
+  const raw = generatePuzzleWithinSize(DICT, preset.N, {
+    difficulty, minWordLen, maxWordLen, wordCount, requireUnique, rng, scoreRange, onAttempt, maxAttempts, timeLimitMs, budget
+  });
+  return padPuzzleToSize(raw, preset.N);
+}
+
+/* Deterministic daily puzzle (UTC date + size + difficulty) from that date's word list.
+   Only attempts are budgeted: a time limit would make the result depend on the device. */
+export function generateDailyPuzzle({ dateStr, sizeKey, difficulty, requireUnique = false, ...options }) {
+  const { seedNum } = dailySeed(dateStr, sizeKey, difficulty);
+  return generatePresetPuzzle(sizeKey, difficulty, {
+    ...options, timeLimitMs: Infinity, words: dailyWordList(dateStr).words, rng: createSeededRng(seedNum), requireUnique
+  });
+}
+
+/* ===== Padding ===== */
+
+export function padPuzzleToSize(raw, targetN) {
+  if (raw.grid.length >= targetN) return raw;
+  const { grid, letters, padTop, padLeft } = padGridToSize(raw.grid, raw.letters, targetN);
+  const slotAssignment = shiftSlotAssignmentKeys(raw.slotAssignment, padTop, padLeft);
+  return { grid, letters, words: raw.words, slotAssignment };
+}
+
+export function padGridToSize(grid, letters, targetN) {
+  const n = grid.length;
+  const newGrid = Array.from({ length: targetN }, () => Array(targetN).fill(0));
+  const padTop = Math.floor((targetN - n) / 2);
+  const padLeft = Math.floor((targetN - n) / 2);
+  for (let r = 0; r < n; r++) for (let c = 0; c < n; c++)
+    newGrid[r + padTop][c + padLeft] = grid[r][c];
+
+  const newLetters = new Map();
+  for (const [key, ch] of letters.entries()) {
+    const [rStr, cStr] = key.split(',');
+    const r = Number(rStr) + padTop;
+    const c = Number(cStr) + padLeft;
+    newLetters.set(`${r},${c}`, ch);
+  }
+  return { grid: newGrid, letters: newLetters, padTop, padLeft };
+}
+
+export function shiftSlotAssignmentKeys(assignment, padTop, padLeft) {
+  if (!assignment) return null;
+  const slots = assignment.slots.map(s => {
+    const add = (s.side === 'L' || s.side === 'R') ? padTop : padLeft;
+    const index = s.index + add;
+    return { id: `${s.side}:${index}`, side: s.side, index };
+  });
+
+  const byCell = new Map();
+  const bySlot = new Map();
+  const slotQueues = assignment.slotQueues ? new Map() : undefined;
+
+  for (const [key, info] of assignment.byCell.entries()) {
+    const [rStr, cStr] = key.split(',');
+    const nr = Number(rStr) + padTop;
+    const nc = Number(cStr) + padLeft;
+    const newKey = `${nr},${nc}`;
+
+    const add = (info.side === 'L' || info.side === 'R') ? padTop : padLeft;
+    const newIndex = info.index + add;
+    const newId = `${info.side}:${newIndex}`;
+
+    byCell.set(newKey, { side: info.side, index: newIndex, id: newId, wave: info.wave ?? 0 });
+    bySlot.set(newId, newKey);
+
+    if (slotQueues) {
+      const qOrig = assignment.slotQueues.get(info.id);
+      if (qOrig) {
+        const qNew = slotQueues.get(newId) || [];
+        qNew.push(newKey);
+        slotQueues.set(newId, qNew);
+      }
+    }
+  }
+  return { byCell, bySlot, slots, slotQueues };
+}
+
+/* ===== (De)serialization ===== */
+
+/* Serialize slotAssignment and letters (Maps) to plain arrays for JSON/localStorage */
+export function serializePuzzleForStorage(out) {
+  return {
+    grid: out.grid,
+    letters: Array.from(out.letters.entries()),
+    words: out.words,
+    slotAssignment: {
+      byCell: Array.from(out.slotAssignment.byCell.entries()),
+      bySlot: Array.from(out.slotAssignment.bySlot.entries()),
+      slots: out.slotAssignment.slots,
+      slotQueues: out.slotAssignment.slotQueues ? Array.from(out.slotAssignment.slotQueues.entries()) : undefined
+    }
+  };
+}
+
+/* Rehydrate a stored puzzle into the Map-based structure newPuzzle expects */
+export function rehydrateStoredPuzzle(serial) {
+  return {
+    grid: serial.grid,
+    letters: new Map(serial.letters),
+    words: serial.words,
+    slotAssignment: {
+      byCell: new Map(serial.slotAssignment.byCell),
+      bySlot: new Map(serial.slotAssignment.bySlot),
+      slots: serial.slotAssignment.slots,
+      slotQueues: serial.slotAssignment.slotQueues ? new Map(serial.slotAssignment.slotQueues) : undefined
+    }
+  };
+}
@@ -0,0 +1,243 @@
+// puzzle-schema.js — versioned on-disk format for daily and pool puzzle files
+//
+// Format history:
+//  1  { meta, puzzle }                        (no formatVersion; byCell wave and slotQueues optional)
+//  2  { formatVersion: 2, meta, puzzle }      (daily)
+//     { formatVersion: 2, meta, puzzles: [] } (pool)
+//     every byCell entry carries { side, index, id, wave } and slotQueues is always present
+//
+// A serialized puzzle is the output of serializePuzzleForStorage (puzzle-core.js):
+//  { grid: number[][], letters: [cellKey, letter][], words: string[],
+//    slotAssignment: { byCell: [cellKey, info][], bySlot: [slotId, cellKey][],
+//                      slots: { id, side, index }[], slotQueues: [slotId, cellKey[]][] } }
+
+import { SIZE_PRESETS } from './puzzle-core.js';
+
+export const PUZZLE_FORMAT_VERSION = 2;
+
+const SIDES = ['L', 'R', 'T', 'B'];
+
+/* ===== Migration ===== */
+
+/**
+ * Bring a daily ({ puzzle }) or pool ({ puzzles }) file up to PUZZLE_FORMAT_VERSION.
+ * Returns a new object; throws if the file is from a newer, unknown version.
+ */
+export function migratePuzzleFile(json) {
+  if (!json || typeof json !== 'object') throw new Error('Puzzle file is not an object');
+  const version = json.formatVersion ?? 1;
+  if (!Number.isInteger(version) || version < 1) throw new Error(`Invalid formatVersion ${json.formatVersion}`);
+  if (version > PUZZLE_FORMAT_VERSION) {
+    throw new Error(`Unsupported puzzle formatVersion ${version} (this build reads up to ${PUZZLE_FORMAT_VERSION})`);
+  }
+
+  const out = { ...json, formatVersion: PUZZLE_FORMAT_VERSION };
+  if (json.puzzle) out.puzzle = migrateSerializedPuzzle(json.puzzle);
+  if (Array.isArray(json.puzzles)) out.puzzles = json.puzzles.map(migrateSerializedPuzzle);
+  return out;
+}
+
+/* v1 -> v2 for a single serialized puzzle: fill in wave/id and derive missing queues */
+export function migrateSerializedPuzzle(serial) {
+  if (!serial?.slotAssignment || !Array.isArray(serial.slotAssignment.byCell)) return serial;
+  const sa = serial.slotAssignment;
+
+  const byCell = sa.byCell.map(([key, info]) => [key, {
+    ...info,
+    id: info?.id ?? `${info?.side}:${info?.index}`,
+    wave: info?.wave ?? 0
+  }]);
+
+  let slotQueues = sa.slotQueues;
+  if (!Array.isArray(slotQueues)) {
+    const queues = new Map();
+    const ordered = byCell.slice().sort((a, b) => a[1].wave - b[1].wave);
+    for (const [key, info] of ordered) {
+      if (!queues.has(info.id)) queues.set(info.id, []);
+      queues.get(info.id).push(key);
+    }
+    slotQueues = Array.from(queues.entries());
+  }
+
+  const bySlot = Array.isArray(sa.bySlot)
+    ? sa.bySlot
+    : slotQueues.filter(([, q]) => q.length).map(([id, q]) => [id, q[0]]);
+
+  let slots = sa.slots;
+  if (!Array.isArray(slots)) {
+    const N = serial.grid?.length ?? 0;
+    slots = [];
+    for (let r = 0; r < N; r++) {
+      slots.push({ id: `L:${r}`, side: 'L', index: r });
+      slots.push({ id: `R:${r}`, side: 'R', index: r });
+    }
+    for (let c = 0; c < N; c++) {
+      slots.push({ id: `T:${c}`, side: 'T', index: c });
+      slots.push({ id: `B:${c}`, side: 'B', index: c });
+    }
+  }
+
+  return { ...serial, slotAssignment: { ...sa, byCell, bySlot, slots, slotQueues } };
+}
+
+/* ===== Validation ===== */
+
+/**
+ * Validate a (migrated) daily or pool file. Returns a list of problems; empty means valid.
+ */
+export function validatePuzzleFile(json) {
+  const errors = [];
+  if (!json || typeof json !== 'object') return ['File is not an object'];
+  if (json.formatVersion !== PUZZLE_FORMAT_VERSION) {
+    errors.push(`formatVersion must be ${PUZZLE_FORMAT_VERSION} (got ${json.formatVersion})`);
+  }
+  if (json.meta != null && typeof json.meta !== 'object') errors.push('meta must be an object');
+
+  const expectedN = SIZE_PRESETS[json.meta?.sizeKey]?.N;
+  if (json.puzzle) {
+    errors.push(...validateSerializedPuzzle(json.puzzle, { expectedN }));
+  } else if (Array.isArray(json.puzzles)) {
+    json.puzzles.forEach((p, i) => {
+      for (const e of validateSerializedPuzzle(p, { expectedN })) errors.push(`puzzles[${i}]: ${e}`);
+    });
+  } else {
+    errors.push('File has neither puzzle nor puzzles');
+  }
+  return errors;
+}
+
+/**
+ * Validate one serialized puzzle:
+ * - grid is a square N x N matrix of 0/1 (N = expectedN when given)
+ * - letters are single A–Z characters on fillable cells, and every fillable cell has one
+ * - byCell and slotQueues each cover every letter exactly once
+ * - every slot's side/index matches the row (L/R) or column (T/B) of its cells
+ */
+export function validateSerializedPuzzle(serial, { expectedN } = {}) {
+  const errors = [];
+  if (!serial || typeof serial !== 'object') return ['puzzle is not an object'];
+
+  // Grid
+  const grid = serial.grid;
+  if (!Array.isArray(grid) || !grid.length) return ['grid must be a non-empty array'];
+  const N = grid.length;
+  if (expectedN != null && N !== expectedN) errors.push(`grid is ${N}x${N}, expected ${expectedN}x${expectedN}`);
+  const fillable = new Set();
+  for (let r = 0; r < N; r++) {
+    if (!Array.isArray(grid[r]) || grid[r].length !== N) {
+      errors.push(`grid row ${r} must have ${N} cells`);
+      continue;
+    }
+    for (let c = 0; c < N; c++) {
+      const v = grid[r][c];
+      if (v !== 0 && v !== 1) errors.push(`grid[${r}][${c}] must be 0 or 1`);
+      if (v === 1) fillable.add(`${r},${c}`);
+    }
+  }
+
+  // Letters
+  if (!Array.isArray(serial.letters)) return [...errors, 'letters must be an array of [cellKey, letter]'];
+  const letters = new Map();
+  for (const entry of serial.letters) {
+    const [key, letter] = Array.isArray(entry) ? entry : [];
+    if (letters.has(key)) errors.push(`letter for ${key} listed twice`);
+    if (!fillable.has(key)) errors.push(`letter key ${key} is not a fillable cell`);
+    if (typeof letter !== 'string' || !/^[A-Z]$/.test(letter)) errors.push(`letter at ${key} must be a single A-Z character`);
+    letters.set(key, letter);
+  }
+  for (const key of fillable) {
+    if (!letters.has(key)) errors.push(`fillable cell ${key} has no letter`);
+  }
+
+  if (!Array.isArray(serial.words)) errors.push('words must be an array');
+
+  // Slot assignment
+  const sa = serial.slotAssignment;
+  if (!sa || typeof sa !== 'object') return [...errors, 'slotAssignment is missing'];
+  if (!Array.isArray(sa.byCell)) return [...errors, 'slotAssignment.byCell must be an array'];
+
+  const byCell = new Map();
+  for (const entry of sa.byCell) {
+    const [key, info] = Array.isArray(entry) ? entry : [];
+    if (byCell.has(key)) errors.push(`byCell lists ${key} more than once`);
+    if (!letters.has(key)) {
+      errors.push(`byCell key ${key} has no letter`);
+      continue;
+    }
+    byCell.set(key, info);
+    errors.push(...checkSlotForCell(info?.side, info?.index, key, N, 'byCell'));
+    if (info?.id !== `${info?.side}:${info?.index}`) errors.push(`byCell ${key}: id ${info?.id} does not match side/index`);
+    if (!Number.isInteger(info?.wave) || info.wave < 0) errors.push(`byCell ${key}: wave must be a non-negative integer`);
+  }
+  for (const key of letters.keys()) {
+    if (!byCell.has(key)) errors.push(`letter at ${key} has no byCell entry`);
+  }
+
+  if (!Array.isArray(sa.slotQueues)) return [...errors, 'slotAssignment.slotQueues must be an array'];
+  const queued = new Map(); // cellKey -> times seen
+  for (const entry of sa.slotQueues) {
+    const [slotId, queue] = Array.isArray(entry) ? entry : [];
+    const [side, idxStr] = String(slotId).split(':');
+    const index = Number(idxStr);
+    if (!Array.isArray(queue)) {
+      errors.push(`slotQueues ${slotId} must be an array`);
+      continue;
+    }
+    queue.forEach((key, pos) => {
+      queued.set(key, (queued.get(key) || 0) + 1);
+      if (!letters.has(key)) {
+        errors.push(`slotQueues ${slotId} references ${key}, which has no letter`);
+        return;
+      }
+      errors.push(...checkSlotForCell(side, index, key, N, `slotQueues ${slotId}`));
+      const info = byCell.get(key);
+      if (info && info.id !== slotId) errors.push(`slotQueues ${slotId} holds ${key}, but byCell assigns it to ${info.id}`);
+      if (info && info.wave !== pos) errors.push(`slotQueues ${slotId}: ${key} is at position ${pos} but has wave ${info.wave}`);
+    });
+  }
+  for (const key of letters.keys()) {
+    const n = queued.get(key) || 0;
+    if (n !== 1) errors.push(`letter at ${key} appears ${n} times in slotQueues (expected 1)`);
+  }
+
+  return errors;
+}
+
+function checkSlotForCell(side, index, key, N, where) {
+  if (!SIDES.includes(side)) return [`${where} ${key}: invalid side ${side}`];
+  if (!Number.isInteger(index) || index < 0 || index >= N) return [`${where} ${key}: slot index ${index} out of range`];
+  const [r, c] = key.split(',').map(Number);
+  const line = (side === 'L' || side === 'R') ? r : c;
+  if (index !== line) {
+    const what = (side === 'L' || side === 'R') ? 'row' : 'column';
+    return [`${where} ${key}: slot ${side}:${index} is not on the cell's ${what} (${line})`];
+  }
+  return [];
+}
+
+/* ===== Daily archive manifest (puzzles/daily/index.json) ===== */
+
+export const DAILY_MANIFEST_VERSION = 1;
+
+/* { manifestVersion: 1, dates: { 'YYYY-MM-DD': ['<size>-<difficulty>', ...] } } */
+export function validateDailyManifest(json) {
+  if (!json || typeof json !== 'object') return ['Manifest is not an object'];
+  const errors = [];
+  if (json.manifestVersion !== DAILY_MANIFEST_VERSION) {
+    errors.push(`manifestVersion must be ${DAILY_MANIFEST_VERSION} (got ${json.manifestVersion})`);
+  }
+  if (!json.dates || typeof json.dates !== 'object' || Array.isArray(json.dates)) return [...errors, 'dates must be an object'];
+  for (const [date, combos] of Object.entries(json.dates)) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) errors.push(`invalid date ${date}`);
+    if (!Array.isArray(combos) || combos.some(c => !/^[a-z]+-[a-z]+$/.test(c))) errors.push(`dates.${date} must list <size>-<difficulty> names`);
+  }
+  return errors;
+}
+
+/* Migrate + validate in one go; throws listing the first few problems */
+export function loadPuzzleFile(json) {
+  const file = migratePuzzleFile(json);
+  const errors = validatePuzzleFile(file);
+  if (errors.length) throw new Error(`Invalid puzzle file: ${errors.slice(0, 5).join('; ')}${errors.length > 5 ? ` (+${errors.length - 5} more)` : ''}`);
+  return file;
+}
@@ -0,0 +1,75 @@
+// ===============================
+// DIFFICULTY RATING
+// ===============================
+// Plays a puzzle with the logical solver (solver.js) and measures how much of it can
+// be deduced: every step the solver cannot justify by a rule is a branching point
+// where a player would have to try something.
+//
+// The score (0-100) mixes the share of branching moves, how wide those branches
+// were, the average number of cells per showing token and the wave depth.
+
+import { solveLogically, waveDepthOf } from './solver.js';
+
+export const RATING_TIERS = [
+  { tier: 'easy', max: 20 },
+  { tier: 'medium', max: 32 },
+  { tier: 'hard', max: 45 },
+  { tier: 'expert', max: 100 }
+];
+
+/**
+ * Rate a puzzle.
+ *
+ * puzzle: { grid, letters, words?, slotAssignment: { byCell, slotQueues } }
+ *         (entry arrays as produced by serialization are accepted too)
+ * Options:
+ * - dictionary: words the runs may spell (the puzzle's own words are always allowed);
+ *   without one only the row/column rules narrow a token's cells
+ *
+ * Returns {
+ *   score: 0..100, tier: 'easy' | 'medium' | 'hard' | 'expert',
+ *   tokens, forcedMoves, branchPoints,
+ *   branchWidth: average cells at a branching point (0 when there were none),
+ *   avgCandidates: average cells per visible token over the whole solve,
+ *   waveDepth: deepest slot queue
+ * }
+ */
+export function rateDifficulty(puzzle, { dictionary = null } = {}) {
+  const { steps, guesses, avgCandidates } = solveLogically(puzzle, { dictionary });
+  const guessSteps = steps.filter(s => s.rule === 'guess');
+  const branchWidth = guesses ? guessSteps.reduce((sum, s) => sum + Math.max(1, s.candidates), 0) / guesses : 0;
+  const waveDepth = waveDepthOf(puzzle);
+  const tokens = steps.length;
+  const score = scoreFrom({ tokens, branchPoints: guesses, branchWidth, avgCandidates, waveDepth });
+
+  return {
+    score,
+    tier: tierForScore(score),
+    tokens,
+    forcedMoves: tokens - guesses,
+    branchPoints: guesses,
+    branchWidth: round2(branchWidth),
+    avgCandidates: round2(avgCandidates),
+    waveDepth
+  };
+}
+
+export function tierForScore(score) {
+  return (RATING_TIERS.find(t => score <= t.max) ?? RATING_TIERS[RATING_TIERS.length - 1]).tier;
+}
+
+// ===============================
+// SCORE
+// ===============================
+function scoreFrom({ tokens, branchPoints, branchWidth, avgCandidates, waveDepth }) {
+  if (!tokens) return 0;
+  const branching = branchPoints / tokens;                    // share of moves that were guesses
+  const width = clamp01((branchWidth - 1) / 4);               // 2 cells -> 0.25, 5+ -> 1
+  const choice = clamp01((avgCandidates - 1) / 5);            // cells per visible token
+  const waves = clamp01((waveDepth - 1) / 3);                 // 1 wave -> 0, 4+ -> 1
+  const raw = 0.45 * branching + 0.15 * width + 0.25 * choice + 0.15 * waves;
+  return Math.round(100 * clamp01(raw));
+}
+
+function clamp01(x) { return Math.min(1, Math.max(0, x)); }
+function round2(x) { return Math.round(x * 100) / 100; }
@@ -0,0 +1,60 @@
+// results.js — the result record of a completed game and its victory-overlay summary
+
+import * as State from './state.js';
+import * as DOM from './dom.js';
+import * as Stats from './stats.js';
+import * as A11y from './a11y.js';
+
+/**
+ * Snapshot of how the current game went:
+ * { puzzleId, sizeKey, difficulty, dailyDate (YYYY-MM-DD or null), timeMs,
+ *   moves: { placements, returns, hints }, hintsByLevel, completedAt (ISO) }
+ */
+export function buildResult() {
+  const { sizeKey, difficulty, dailyDate } = State.getGameMeta();
+  const { placements, returns } = State.getMoveCounts();
+  return {
+    puzzleId: State.getPuzzleId(),
+    sizeKey,
+    difficulty,
+    dailyDate,
+    timeMs: Math.round(State.getElapsedMs()),
+    moves: { placements, returns, hints: State.getHintCount() },
+    hintsByLevel: State.getHintUsage(),
+    completedAt: new Date().toISOString()
+  };
+}
+
+/* m:ss, or h:mm:ss past an hour */
+export function formatDuration(ms) {
+  const total = Math.max(0, Math.round(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+export function describeResult(result) {
+  const rows = [
+    ['Time', formatDuration(result.timeMs)],
+    ['Placements', String(result.moves.placements)],
+    ['Returns', String(result.moves.returns)],
+    ['Hints', String(result.moves.hints)]
+  ];
+  if (result.dailyDate) rows.unshift(['Daily', result.dailyDate]);
+  return rows;
+}
+
+/* Called once when the board becomes solved (clock already stopped); a game that already
+   has its result keeps it */
+export function completeGame() {
+  const done = State.getLastResult();
+  if (done && done.puzzleId === State.getPuzzleId()) return done;
+  const result = buildResult();
+  State.setLastResult(result);
+  Stats.recordResult(result);
+  DOM.renderVictoryStats(describeResult(result));
+  DOM.setShareAvailable(!!result.dailyDate);
+  A11y.announceWin(result);
+  return result;
+}
@@ -0,0 +1,174 @@
+// savegame.js — persist in-progress games in localStorage and restore them on load
+//
+// Two kinds of entries:
+//  - currentGame:<mode>:<size>:<difficulty>  the puzzle last played in that mode (serialized),
+//    so startup and settings changes can come back to it instead of drawing a new one
+//  - gameProgress:<puzzleId>                 play state for one puzzle: placed tokens, slot
+//    cursors, active slot tokens, selection, hints and moves used, and elapsed time
+// A solved puzzle keeps its entry, flagged solved, so it is not resumed; "New game"
+// drops the progress of the puzzle it abandons.
+
+import * as State from './state.js';
+import * as Tokens from './tokens.js';
+import * as Core from './puzzle-core.js';
+import * as Schema from './puzzle-schema.js';
+
+const SAVE_VERSION = 1;
+const PROGRESS_PREFIX = 'gameProgress:';
+const CURRENT_PREFIX = 'currentGame:';
+const INDEX_KEY = 'gameProgress:index';
+const MAX_SAVED_GAMES = 20;
+
+let restoring = false;
+
+/* Stable id for a puzzle: hash of its serialized definition */
+export function puzzleIdFor(out) {
+  const serial = Core.serializePuzzleForStorage(out);
+  return Core.hashStringToUint32(JSON.stringify(serial)).toString(16).padStart(8, '0');
+}
+
+/* ===== Current puzzle per mode ===== */
+
+function currentKey(modeKey) { return `${CURRENT_PREFIX}${modeKey}`; }
+
+export function rememberCurrentPuzzle(modeKey, out, extra = {}) {
+  try {
+    const record = { puzzleId: puzzleIdFor(out), puzzle: Core.serializePuzzleForStorage(out), ...extra };
+    localStorage.setItem(currentKey(modeKey), JSON.stringify(record));
+  } catch {}
+}
+
+/* Returns { puzzleId, puzzle (rehydrated), ...extra } or null */
+export function loadCurrentPuzzle(modeKey, { expectedN } = {}) {
+  try {
+    const raw = localStorage.getItem(currentKey(modeKey));
+    if (!raw) return null;
+    const record = JSON.parse(raw);
+    if (Schema.validateSerializedPuzzle(record.puzzle, { expectedN }).length) return null;
+    return { ...record, puzzle: Core.rehydrateStoredPuzzle(record.puzzle) };
+  } catch {
+    return null;
+  }
+}
+
+/* ===== Progress ===== */
+
+function readIndex() {
+  try {
+    const list = JSON.parse(localStorage.getItem(INDEX_KEY) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeIndex(list) {
+  try { localStorage.setItem(INDEX_KEY, JSON.stringify(list)); } catch {}
+}
+
+/* Snapshot of the play state in State, keyed by the current puzzle id */
+export function snapshotProgress() {
+  return {
+    version: SAVE_VERSION,
+    puzzleId: State.getPuzzleId(),
+    ...Tokens.capturePlayState(),
+    selected: State.getSelectedTokenId(),
+    hints: State.getHintUsage(),
+    moves: State.getMoveCounts(),
+    elapsedMs: State.getElapsedMs(),
+    clockStarted: State.isClockStarted(),
+    solved: State.getBoardStatus() === 'solved',
+    savedAt: Date.now()
+  };
+}
+
+/* Save after every move (and when the page is hidden) */
+export function saveProgress() {
+  const id = State.getPuzzleId();
+  if (!id || restoring) return;
+  try {
+    localStorage.setItem(PROGRESS_PREFIX + id, JSON.stringify(snapshotProgress()));
+  } catch {
+    return;
+  }
+
+  // Keep only the most recently played games
+  const index = readIndex().filter(x => x !== id);
+  index.unshift(id);
+  for (const old of index.splice(MAX_SAVED_GAMES)) {
+    try { localStorage.removeItem(PROGRESS_PREFIX + old); } catch {}
+  }
+  writeIndex(index);
+}
+
+export function loadProgress(puzzleId) {
+  if (!puzzleId) return null;
+  try {
+    const raw = localStorage.getItem(PROGRESS_PREFIX + puzzleId);
+    if (!raw) return null;
+    const progress = JSON.parse(raw);
+    return progress?.version === SAVE_VERSION && progress.puzzleId === puzzleId ? progress : null;
+  } catch {
+    return null;
+  }
+}
+
+export function clearProgress(puzzleId) {
+  if (!puzzleId) return;
+  try { localStorage.removeItem(PROGRESS_PREFIX + puzzleId); } catch {}
+  writeIndex(readIndex().filter(x => x !== puzzleId));
+}
+
+/* ===== Restore ===== */
+
+/* Reject saves that do not fit the puzzle now in State (stale or hand-edited) */
+function isProgressValid(progress) {
+  const solution = State.getSolutionLetters();
+  const byCell = State.getSlotAssignment()?.byCell;
+  const grid = State.getGridRef();
+  if (!byCell || !Array.isArray(progress.placed) || !Array.isArray(progress.cursors) || !Array.isArray(progress.active)) {
+    return false;
+  }
+
+  const usedTokens = new Set();
+  const usedCells = new Set();
+  for (const [tokenId, cellKey] of progress.placed) {
+    const info = byCell.get(tokenId);
+    if (!info || !solution.has(tokenId) || usedTokens.has(tokenId) || usedCells.has(cellKey)) return false;
+    const [r, c] = String(cellKey).split(',').map(Number);
+    if (grid[r]?.[c] !== 1) return false;
+    const onLine = (info.side === 'L' || info.side === 'R') ? r === info.index : c === info.index;
+    if (!onLine) return false;
+    usedTokens.add(tokenId);
+    usedCells.add(cellKey);
+  }
+  for (const [slotId, tokenId] of progress.active) {
+    if (byCell.get(tokenId)?.id !== slotId || usedTokens.has(tokenId)) return false;
+  }
+  return true;
+}
+
+/**
+ * Apply saved progress on top of a freshly rendered puzzle (board, slots and
+ * first-wave tokens already in place). Returns false and leaves the fresh
+ * board untouched if the save does not match the puzzle.
+ */
+export function restoreProgress(progress) {
+  if (!progress || progress.solved || !isProgressValid(progress)) return false;
+
+  restoring = true;
+  try {
+    Tokens.applyPlayState(progress);
+
+    const selected = State.getToken(progress.selected);
+    if (selected && !selected.placed) Tokens.selectToken(selected.id);
+
+    State.resetHintUsage(progress.hints);
+    State.resetMoveCounts(progress.moves);
+    State.resetClock(Number(progress.elapsedMs) || 0, { started: !!progress.clockStarted || progress.placed.length > 0 });
+    Tokens.updateBoardStatus();
+  } finally {
+    restoring = false;
+  }
+  return true;
+}
@@ -0,0 +1,150 @@
+// sfx.js — short synthesized sound effects (WebAudio oscillators, no asset files)
+//
+// Categories: select, place, return, invalid, wave (a queued token enters a slot),
+// word (a placement completes a word) and win (the fanfare: audio.js's element, or the
+// WebAudio buffer app.js plays through winOutputNode(); both take their volume from here). Settings persist in localStorage under SOUND_PREF_KEY:
+//   { volume: 0..1, muted: boolean, categories: { <category>: boolean } }
+// Nothing plays until the shared AudioContext has been unlocked by a user gesture.
+
+import * as Audio from './audio.js';
+
+export const SOUND_CATEGORIES = ['select', 'place', 'return', 'invalid', 'wave', 'word', 'win'];
+
+const SOUND_PREF_KEY = 'soundSettings';
+const DEFAULT_SETTINGS = {
+  volume: 0.6,
+  muted: false,
+  categories: Object.fromEntries(SOUND_CATEGORIES.map(c => [c, true]))
+};
+
+/* Tones per effect: { freq, to?, type, at (s), dur (s), gain } */
+const EFFECTS = {
+  select: [{ freq: 660, type: 'triangle', at: 0, dur: 0.06, gain: 0.25 }],
+  place: [
+    { freq: 520, to: 780, type: 'triangle', at: 0, dur: 0.09, gain: 0.35 },
+    { freq: 1040, type: 'sine', at: 0.05, dur: 0.08, gain: 0.12 }
+  ],
+  return: [{ freq: 620, to: 360, type: 'triangle', at: 0, dur: 0.12, gain: 0.3 }],
+  invalid: [
+    { freq: 180, type: 'square', at: 0, dur: 0.08, gain: 0.12 },
+    { freq: 150, type: 'square', at: 0.09, dur: 0.1, gain: 0.12 }
+  ],
+  wave: [
+    { freq: 880, type: 'sine', at: 0.1, dur: 0.07, gain: 0.15 },
+    { freq: 1320, type: 'sine', at: 0.16, dur: 0.09, gain: 0.12 }
+  ],
+  word: [
+    { freq: 523, type: 'triangle', at: 0, dur: 0.1, gain: 0.3 },
+    { freq: 659, type: 'triangle', at: 0.08, dur: 0.1, gain: 0.3 },
+    { freq: 784, type: 'triangle', at: 0.16, dur: 0.18, gain: 0.3 }
+  ]
+};
+
+let settings = loadSoundSettings();
+let masterGain = null;
+let winGain = null;
+
+/* ===== Settings ===== */
+
+function loadSoundSettings() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(SOUND_PREF_KEY) || 'null');
+    if (!raw || typeof raw !== 'object') return copySettings(DEFAULT_SETTINGS);
+    return {
+      volume: Number.isFinite(raw.volume) ? Math.min(1, Math.max(0, raw.volume)) : DEFAULT_SETTINGS.volume,
+      muted: raw.muted === true,
+      categories: Object.fromEntries(SOUND_CATEGORIES.map(c => [c, raw.categories?.[c] !== false]))
+    };
+  } catch {
+    return copySettings(DEFAULT_SETTINGS);
+  }
+}
+
+function copySettings(s) {
+  return { ...s, categories: { ...s.categories } };
+}
+
+export function getSoundSettings() {
+  return copySettings(settings);
+}
+
+/* Merge a partial update ({ volume }, { muted }, { categories: { place: false } }) and persist */
+export function setSoundSettings(patch) {
+  settings = {
+    volume: patch.volume != null ? Math.min(1, Math.max(0, Number(patch.volume) || 0)) : settings.volume,
+    muted: patch.muted != null ? !!patch.muted : settings.muted,
+    categories: { ...settings.categories, ...(patch.categories || {}) }
+  };
+  try { localStorage.setItem(SOUND_PREF_KEY, JSON.stringify(settings)); } catch {}
+  applySoundSettings();
+  return getSoundSettings();
+}
+
+function effectiveVolume(category) {
+  if (settings.muted || !settings.categories[category]) return 0;
+  return settings.volume;
+}
+
+/* Push the current settings to the master gain and both fanfare paths */
+export function applySoundSettings() {
+  if (masterGain) masterGain.gain.value = settings.muted ? 0 : settings.volume;
+  if (winGain) winGain.gain.value = effectiveVolume('win');
+  Audio.setWinSoundVolume(effectiveVolume('win'));
+}
+
+/* ===== Playback ===== */
+
+function outputNode(ctx) {
+  if (!masterGain || masterGain.context !== ctx) {
+    masterGain = ctx.createGain();
+    masterGain.connect(ctx.destination);
+    applySoundSettings();
+  }
+  return masterGain;
+}
+
+/* Gain node the WebAudio fanfare connects to (volume, mute and the win toggle apply) */
+export function winOutputNode(ctx) {
+  if (!winGain || winGain.context !== ctx) {
+    winGain = ctx.createGain();
+    winGain.connect(ctx.destination);
+  }
+  winGain.gain.value = effectiveVolume('win');
+  return winGain;
+}
+
+/* Whether the fanfare would be heard at all with the current settings */
+export function isWinSoundOn() {
+  return effectiveVolume('win') > 0;
+}
+
+/* Play one effect if its category is on; silently does nothing before audio is unlocked */
+export function play(category) {
+  const tones = EFFECTS[category];
+  if (!tones || !effectiveVolume(category)) return;
+  const ctx = window.__audioCtx;
+  if (!ctx || ctx.state !== 'running') return;
+
+  try {
+    const out = outputNode(ctx);
+    const t0 = ctx.currentTime;
+    for (const { freq, to, type, at, dur, gain } of tones) {
+      const osc = ctx.createOscillator();
+      const env = ctx.createGain();
+      const start = t0 + at;
+      osc.type = type;
+      osc.frequency.setValueAtTime(freq, start);
+      if (to) osc.frequency.exponentialRampToValueAtTime(to, start + dur);
+      // Quick attack and exponential release so effects do not click
+      env.gain.setValueAtTime(0.0001, start);
+      env.gain.exponentialRampToValueAtTime(gain, start + 0.01);
+      env.gain.exponentialRampToValueAtTime(0.0001, start + dur);
+      osc.connect(env);
+      env.connect(out);
+      osc.start(start);
+      osc.stop(start + dur + 0.02);
+    }
+  } catch {}
+}
+
+applySoundSettings();
@@ -0,0 +1,142 @@
+// share.js — spoiler-free result card for a solved daily: emoji text and a PNG
+//
+// The card shows the date, size, difficulty, time, hints used and the board's
+// silhouette (which cells are playable) — never the letters.
+
+import * as State from './state.js';
+import { formatDuration } from './results.js';
+
+const FILLED = '🟩';
+const BLOCKED = '⬛';
+
+function titleCase(s) {
+  return s ? s[0].toUpperCase() + s.slice(1) : '';
+}
+
+/* Rows/columns of the grid cropped to the playable area */
+function croppedSilhouette(grid) {
+  let top = Infinity, bottom = -1, left = Infinity, right = -1;
+  grid.forEach((row, r) => row.forEach((v, c) => {
+    if (v !== 1) return;
+    top = Math.min(top, r); bottom = Math.max(bottom, r);
+    left = Math.min(left, c); right = Math.max(right, c);
+  }));
+  if (bottom < 0) return [];
+  return grid.slice(top, bottom + 1).map(row => row.slice(left, right + 1));
+}
+
+function summaryLines(result) {
+  const hints = result.moves.hints;
+  return [
+    `WORDVANA Daily ${result.dailyDate}`,
+    `${titleCase(result.sizeKey)} · ${titleCase(result.difficulty)}`,
+    `⏱ ${formatDuration(result.timeMs)} · 💡 ${hints} hint${hints === 1 ? '' : 's'}`
+  ];
+}
+
+/* Text/emoji card */
+export function buildShareText(result, grid = State.getGridRef()) {
+  const silhouette = croppedSilhouette(grid).map(row => row.map(v => (v === 1 ? FILLED : BLOCKED)).join(''));
+  return [...summaryLines(result), '', ...silhouette].join('\n');
+}
+
+/* Same card drawn on a canvas in the current theme's colours; null without 2D canvas support */
+export function renderShareCanvas(result, grid = State.getGridRef()) {
+  const cells = croppedSilhouette(grid);
+  const rows = cells.length;
+  const cols = rows ? cells[0].length : 0;
+
+  const css = getComputedStyle(document.documentElement);
+  const color = (name, fallback) => css.getPropertyValue(name).trim() || fallback;
+  const bg = color('--empty-bg-1', '#0b1220');
+  const text = color('--text', '#e6edf7');
+  const muted = color('--muted', '#8aa2c0');
+  const accent = color('--accent', '#5eead4');
+  const blocked = color('--empty-bg-2', '#111a2e');
+
+  const width = 600;
+  const pad = 32;
+  const headerH = 128;
+  const cell = Math.min(32, Math.floor((width - pad * 2) / Math.max(cols, 1)));
+  const gap = Math.max(2, Math.round(cell / 8));
+  const gridW = cols * cell;
+  const height = headerH + rows * cell + pad * 2;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return null;
+
+  ctx.fillStyle = bg;
+  ctx.fillRect(0, 0, width, height);
+
+  const [title, sub, line] = summaryLines(result);
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  ctx.fillStyle = text;
+  ctx.font = '700 28px system-ui, sans-serif';
+  ctx.fillText(title, width / 2, pad);
+  ctx.fillStyle = muted;
+  ctx.font = '600 18px system-ui, sans-serif';
+  ctx.fillText(sub, width / 2, pad + 40);
+  ctx.fillStyle = text;
+  ctx.fillText(line, width / 2, pad + 68);
+
+  const x0 = (width - gridW) / 2;
+  const y0 = headerH + pad;
+  cells.forEach((row, r) => row.forEach((v, c) => {
+    ctx.fillStyle = v === 1 ? accent : blocked;
+    ctx.fillRect(x0 + c * cell + gap / 2, y0 + r * cell + gap / 2, cell - gap, cell - gap);
+  }));
+
+  return canvas;
+}
+
+function canvasToBlob(canvas) {
+  return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+function download(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Put the card on the clipboard (text + PNG where the browser allows both),
+ * otherwise copy the text and download the PNG.
+ * Returns a short message describing what happened.
+ */
+export async function shareResult(result) {
+  const text = buildShareText(result);
+  const canvas = renderShareCanvas(result);
+  const png = canvas ? await canvasToBlob(canvas) : null;
+
+  if (png && typeof ClipboardItem !== 'undefined' && navigator.clipboard?.write) {
+    try {
+      await navigator.clipboard.write([new ClipboardItem({
+        'text/plain': new Blob([text], { type: 'text/plain' }),
+        'image/png': png
+      })]);
+      return 'Result copied to clipboard';
+    } catch {
+      // Some browsers refuse mixed items; fall through to text + download
+    }
+  }
+
+  let copied = false;
+  try {
+    await navigator.clipboard.writeText(text);
+    copied = true;
+  } catch {}
+  if (png) download(png, `wordvana-${result.dailyDate}-${result.sizeKey}-${result.difficulty}.png`);
+
+  if (copied) return png ? 'Result copied, image downloaded' : 'Result copied to clipboard';
+  return png ? 'Image downloaded' : 'Sharing is not available in this browser';
+}
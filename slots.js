@@ -5,6 +5,7 @@
 import * as State from './state.js';
 import * as Tokens from './tokens.js';
 import * as DOM from './dom.js';
+import * as Sfx from './sfx.js';
 
 export function initSlotQueues(assignment) {
   // Set the canonical slotQueues Map in state
@@ -70,6 +71,7 @@ export function emitNextTokenIntoSlot(slotId) {
   if (info && letter) {
     Tokens.createTokenForCell(cellKey, info, letter);
     // createTokenForCell will set slotActive for this slot
+    Sfx.play('wave');
   } else {
     // Defensive: if mapping unexpectedly missing, ensure slot is considered empty
     const slotEl = DOM.getSlotEl(slotId);
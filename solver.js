@@ -0,0 +1,354 @@
+// ===============================
+// LOGICAL SOLVER
+// ===============================
+// Plays a puzzle the way a person would and explains every move. The solver sees
+// what a player sees: the board shape, the letters already placed and the token at
+// the front of every slot queue; later waves only show up once the token in front of
+// them has been placed, so the order of slotQueues decides what can be played when.
+// A token can only land in its own row (L/R slots) or column (T/B slots), and with a
+// dictionary every across/down run through a cell has to remain spellable.
+//
+// Rules, tried in this order every step:
+//   last-cell   the token's row/column has a single empty fillable cell
+//   only-cell   of the empty cells in its row/column, the crossing words leave one for the letter
+//   only-token  an empty cell that every slot able to reach it has no queued tokens behind
+//               the one showing, and only one of those tokens has a letter that fits
+//   guess       nothing is forced: the token with the fewest cells is placed on its
+//               real cell (a player would have to try it)
+// Each forced rule can only ever point at the token's real cell (the stored solution
+// always fits), so the steps replay the solution in a logical order.
+
+const SIDE_NAMES = { T: 'top', B: 'bottom', L: 'left', R: 'right' };
+export const SOLVER_RULES = ['last-cell', 'only-cell', 'only-token', 'guess'];
+
+/**
+ * Solve from the start, or from `placed` ([tokenId, cellKey] pairs already on the board,
+ * all correct), until every token is placed.
+ *
+ * puzzle: { grid, letters, words?, slotAssignment: { byCell, slotQueues } }
+ *         (entry arrays as produced by serialization are accepted too)
+ * Options:
+ * - dictionary: words the runs may spell (the puzzle's own words are always allowed);
+ *   without one only the row/column rules apply
+ * - placed: tokens already on the board
+ * - maxSteps: stop after this many steps (1 gives the next move)
+ *
+ * Returns {
+ *   steps: [{ rule, tokenId, slotId, letter, cellKey, candidates, revealed, reason }],
+ *   solved: boolean,
+ *   guesses: number,
+ *   avgCandidates: average cells per showing token over all steps
+ * }
+ * candidates: empty cells the token could still take (the branching width for a guess)
+ * revealed: the token that moved to the front of the slot (null when it is now empty)
+ */
+export function solveLogically(puzzle, { dictionary = null, placed = [], maxSteps = Infinity } = {}) {
+  const game = createGame(puzzle, dictionary, placed);
+  const steps = [];
+  while (steps.length < maxSteps) {
+    const step = game.next();
+    if (!step) break;
+    steps.push(step);
+  }
+  return {
+    steps,
+    solved: game.done(),
+    guesses: steps.filter(s => s.rule === 'guess').length,
+    avgCandidates: game.avgCandidates()
+  };
+}
+
+/* The next step from a position, or null when every token is placed */
+export function nextLogicalStep(puzzle, options = {}) {
+  return solveLogically(puzzle, { ...options, maxSteps: 1 }).steps[0] ?? null;
+}
+
+/* Plain-text report, one numbered line per step */
+export function formatSolveSteps(steps) {
+  const width = String(steps.length).length;
+  return steps.map((s, i) => `${String(i + 1).padStart(width)}. [${s.rule}] ${s.reason}`).join('\n');
+}
+
+// ===============================
+// GAME STATE
+// ===============================
+function createGame(puzzle, dictionary, placed) {
+  const model = buildModel(puzzle);
+  const dictWords = dictionary ? dictionaryByLength(dictionary) : new Map();
+  const ownWords = wordsByLength(puzzle.words || []);
+  const useWords = !!dictionary;
+
+  const known = new Map();          // cellKey -> letter on the board
+  const placedTokens = new Set();
+  let candidateSum = 0;
+  let candidateSamples = 0;
+  const runAllowed = new Map();     // run index -> { sets: Set[] per position, matches } (cache)
+
+  function put(tokenId, cellKey) {
+    known.set(cellKey, model.tokens.get(tokenId).letter);
+    placedTokens.add(tokenId);
+    for (const { run } of model.runsByCell.get(cellKey) || []) runAllowed.delete(run);
+  }
+  for (const [tokenId, cellKey] of placed) if (model.tokens.has(tokenId)) put(tokenId, cellKey);
+
+  function runInfo(k) {
+    if (!runAllowed.has(k)) {
+      const run = model.runs[k];
+      const pattern = run.map(key => known.get(key) ?? null);
+      const sets = run.map(() => new Set());
+      const matches = new Set();
+      for (const list of [dictWords.get(run.length), ownWords.get(run.length)]) {
+        for (const w of list || []) {
+          if (!pattern.every((ch, p) => ch === null || ch === w[p])) continue;
+          matches.add(w);
+          for (let p = 0; p < run.length; p++) sets[p].add(w[p]);
+        }
+      }
+      runAllowed.set(k, { sets, matches });
+    }
+    return runAllowed.get(k);
+  }
+
+  function fits(letter, key) {
+    if (!useWords) return true;
+    return model.runsByCell.get(key).every(({ run, pos }) => runInfo(run).sets[pos].has(letter));
+  }
+
+  /* Unplaced tokens of a slot, front first */
+  function pendingIn(slotId) {
+    return (model.queues.get(slotId) || []).filter(id => !placedTokens.has(id));
+  }
+
+  function frontTokens() {
+    const out = [];
+    for (const slotId of model.queues.keys()) {
+      const [tokenId] = pendingIn(slotId);
+      if (tokenId) out.push({ slotId, tokenId, ...model.tokens.get(tokenId) });
+    }
+    return out;
+  }
+
+  function emptyIn(line) {
+    return model.lineCells.get(line).filter(key => !known.has(key));
+  }
+
+  /* A run through the cell that only one word still fits, for the explanation */
+  function pinningWord(cellKey) {
+    if (!useWords) return null;
+    for (const { run } of model.runsByCell.get(cellKey)) {
+      const { matches } = runInfo(run);
+      if (matches.size === 1) return { word: [...matches][0], across: model.runDirs[run] === 'across' };
+    }
+    return null;
+  }
+
+  function findStep() {
+    const front = frontTokens();
+    if (!front.length) return null;
+    for (const t of front) {
+      t.empty = emptyIn(t.line);
+      t.cells = t.empty.filter(key => fits(t.letter, key));
+      candidateSum += t.cells.length;
+    }
+    candidateSamples += front.length;
+
+    const lastCell = front.find(t => t.empty.length === 1);
+    if (lastCell) return step('last-cell', lastCell, lastCell.empty[0]);
+
+    const onlyCell = front.find(t => t.cells.length === 1);
+    if (onlyCell) return step('only-cell', onlyCell, onlyCell.cells[0]);
+
+    for (const cellKey of model.cellKeys) {
+      if (known.has(cellKey)) continue;
+      const slots = model.slotsForCell.get(cellKey);
+      // Something still queued in one of these slots could be the one that fills it
+      if (slots.some(id => pendingIn(id).length > 1)) continue;
+      const fitting = front.filter(t => slots.includes(t.slotId) && t.cells.includes(cellKey));
+      if (fitting.length === 1) return step('only-token', fitting[0], cellKey);
+    }
+
+    const narrowest = front.slice().sort((a, b) => a.cells.length - b.cells.length || a.slotId.localeCompare(b.slotId))[0];
+    // Its own cell, unless an identical letter from the same line already sits there
+    const cellKey = known.has(narrowest.tokenId) ? narrowest.cells[0] ?? narrowest.empty[0] : narrowest.tokenId;
+    return step('guess', narrowest, cellKey);
+  }
+
+  function step(rule, t, cellKey) {
+    return {
+      rule,
+      tokenId: t.tokenId,
+      slotId: t.slotId,
+      letter: t.letter,
+      cellKey,
+      candidates: t.cells.length,
+      revealed: null,
+      reason: explain(rule, t, cellKey)
+    };
+  }
+
+  function explain(rule, t, cellKey) {
+    const what = `the ${t.letter} from the ${slotName(t.slotId)}`;
+    const where = cellName(cellKey);
+    const line = lineName(t.line);
+    switch (rule) {
+      case 'last-cell':
+        return `Only one fillable cell is left in ${line}, so ${what} goes in ${where}.`;
+      case 'only-cell':
+        return `Of the ${t.empty.length} empty cells in ${line}, only ${where} keeps the crossing words spellable with ${t.letter}, so ${what} goes there.`;
+      case 'only-token': {
+        const pinned = pinningWord(cellKey);
+        const why = pinned ? ` (the ${pinned.across ? 'across' : 'down'} word can only be ${pinned.word})` : '';
+        return `${capitalize(where)} can only be filled from the slots of its row and column, and of the letters showing there only ${t.letter}${why} fits, so ${what} goes there.`;
+      }
+      default:
+        return `Nothing is forced: try ${what} in ${where} (${t.cells.length} possible cells).`;
+    }
+  }
+
+  return {
+    next() {
+      const s = findStep();
+      if (!s) return null;
+      put(s.tokenId, s.cellKey);
+      const [revealed] = pendingIn(s.slotId);
+      if (revealed) {
+        s.revealed = revealed;
+        s.reason += ` The ${slotName(s.slotId)} now shows ${model.tokens.get(revealed).letter}.`;
+      }
+      return s;
+    },
+    done() {
+      return placedTokens.size === model.tokens.size;
+    },
+    avgCandidates() {
+      return candidateSamples ? candidateSum / candidateSamples : 0;
+    }
+  };
+}
+
+// ===============================
+// NAMES
+// ===============================
+function slotName(slotId) {
+  const [side, index] = slotId.split(':');
+  return `${SIDE_NAMES[side]} slot ${Number(index) + 1}`;
+}
+
+function cellName(cellKey) {
+  const [r, c] = cellKey.split(',').map(Number);
+  return `row ${r + 1}, column ${c + 1}`;
+}
+
+function lineName(line) {
+  return line[0] === 'R' ? `row ${Number(line.slice(1)) + 1}` : `column ${Number(line.slice(1)) + 1}`;
+}
+
+function capitalize(s) {
+  return s[0].toUpperCase() + s.slice(1);
+}
+
+// ===============================
+// MODEL
+// ===============================
+function buildModel({ grid, letters, slotAssignment }) {
+  const letterMap = letters instanceof Map ? letters : new Map(letters || []);
+  const rawByCell = slotAssignment?.byCell;
+  const byCell = rawByCell instanceof Map ? rawByCell : new Map(rawByCell || []);
+  const rawQueues = slotAssignment?.slotQueues;
+  const queues = rawQueues instanceof Map ? new Map(rawQueues) : new Map(rawQueues || []);
+
+  // Older single-wave puzzles have no queues: one token per slot
+  if (!queues.size) {
+    for (const [key, info] of byCell.entries()) queues.set(info.id ?? `${info.side}:${info.index}`, [key]);
+  }
+
+  const tokens = new Map();         // token (= its solution cellKey) -> { letter, line }
+  const lineCells = new Map();      // 'R3' / 'C5' -> fillable cellKeys
+  const slotsForCell = new Map();   // cellKey -> slot ids that can reach it
+  const cellKeys = [];
+
+  const N = grid.length;
+  for (let r = 0; r < N; r++) {
+    for (let c = 0; c < N; c++) {
+      if (grid[r][c] !== 1) continue;
+      const key = `${r},${c}`;
+      cellKeys.push(key);
+      for (const line of [`R${r}`, `C${c}`]) {
+        if (!lineCells.has(line)) lineCells.set(line, []);
+        lineCells.get(line).push(key);
+      }
+      slotsForCell.set(key, [`L:${r}`, `R:${r}`, `T:${c}`, `B:${c}`].filter(id => queues.has(id)));
+    }
+  }
+
+  let waveDepth = 0;
+  for (const [key, letter] of letterMap.entries()) {
+    const info = byCell.get(key);
+    if (!info) continue;
+    const [r, c] = key.split(',').map(Number);
+    const isRow = info.side === 'L' || info.side === 'R';
+    tokens.set(key, { letter, line: isRow ? `R${r}` : `C${c}` });
+    waveDepth = Math.max(waveDepth, (info.wave ?? 0) + 1);
+  }
+
+  const { runs, runDirs, runsByCell } = findRuns(grid);
+  return { tokens, queues, lineCells, slotsForCell, cellKeys, runs, runDirs, runsByCell, waveDepth };
+}
+
+/* Deepest slot queue (1 = a single wave) */
+export function waveDepthOf(puzzle) {
+  return buildModel(puzzle).waveDepth;
+}
+
+/* Maximal across/down runs (length >= 2) as cellKeys, and cellKey -> [{ run, pos }] */
+function findRuns(grid) {
+  const N = grid.length;
+  const runs = [];
+  const runDirs = [];
+  const runsByCell = new Map();
+  for (let r = 0; r < N; r++) {
+    for (let c = 0; c < N; c++) if (grid[r][c] === 1) runsByCell.set(`${r},${c}`, []);
+  }
+
+  const flush = (run, dir) => {
+    if (run.length < 2) return;
+    const k = runs.length;
+    runs.push(run);
+    runDirs.push(dir);
+    run.forEach((key, pos) => runsByCell.get(key).push({ run: k, pos }));
+  };
+
+  for (let r = 0; r < N; r++) {
+    let run = [];
+    for (let c = 0; c <= N; c++) {
+      if (c < N && grid[r][c] === 1) run.push(`${r},${c}`);
+      else { flush(run, 'across'); run = []; }
+    }
+  }
+  for (let c = 0; c < N; c++) {
+    let run = [];
+    for (let r = 0; r <= N; r++) {
+      if (r < N && grid[r][c] === 1) run.push(`${r},${c}`);
+      else { flush(run, 'down'); run = []; }
+    }
+  }
+  return { runs, runDirs, runsByCell };
+}
+
+/* Repeated solves (generator, rating) use the same dictionary; index it once */
+const dictionaryIndex = new WeakMap();
+function dictionaryByLength(dictionary) {
+  if (!dictionaryIndex.has(dictionary)) dictionaryIndex.set(dictionary, wordsByLength(dictionary));
+  return dictionaryIndex.get(dictionary);
+}
+
+function wordsByLength(list) {
+  const byLength = new Map();
+  for (const raw of list) {
+    const w = String(raw).trim().toUpperCase();
+    if (!w) continue;
+    if (!byLength.has(w.length)) byLength.set(w.length, new Set());
+    byLength.get(w.length).add(w);
+  }
+  return byLength;
+}
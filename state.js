@@ -5,6 +5,8 @@ export let solutionLetters = new Map(); // Map cellKey -> letter
 export let gridRef = [];                 // 2D array grid
 export let N = 0;
 export let slotAssignment = null;
+export let words = [];                  // solution words (announced on a win)
+let dictionary = null;                  // word list the puzzle was drawn from (null: the standard list)
 
 // tokens Map: tokenId (cellKey) -> token record { id, letter, side, index, slotId, el, placed, currentCellKey, wave }
 const tokens = new Map();
@@ -17,6 +19,32 @@ let slotActive = new Map(); // slotId -> current active tokenId shown in slot (c
 // Selection
 export let selectedTokenId = null;
 
+// Board status: 'incomplete' | 'wrong' (every cell filled, some letters misplaced) | 'solved'
+let boardStatus = 'incomplete';
+
+// Identity of the puzzle on the board (used to key saved progress)
+let puzzleId = null;
+
+// Hint levels, mildest first (hints.js cycles through them), and how many of each this game used
+export const HINT_LEVELS = ['forced', 'narrow', 'wrong', 'reveal'];
+let hintUsage = emptyHintUsage();
+
+// Identity of the game on the board, for result records: { sizeKey, difficulty, dailyDate }
+let gameMeta = { sizeKey: null, difficulty: null, dailyDate: null };
+
+// Move counters for the current game
+let moveCounts = { placements: 0, returns: 0 };
+
+// Play clock: starts on the first placement, pauses while anything in clockPauses is set
+// (settings modal open, tab hidden) and stops when the board is solved.
+let clockState = 'idle';     // 'idle' | 'running' | 'stopped'
+let clockBankedMs = 0;       // time from earlier stretches (and earlier sessions)
+let clockStartedAt = null;   // start of the stretch currently being timed
+const clockPauses = new Set();
+
+// Result record of the last completed game
+let lastResult = null;
+
 /* Solution letters */
 export function setSolutionLetters(m) { solutionLetters = new Map(m); }
 export function getSolutionLetters() { return solutionLetters; }
@@ -29,6 +57,14 @@ export function getGridRef() { return gridRef; }
 export function setN(n) { N = n; }
 export function getN() { return N; }
 
+/* Solution words */
+export function setWords(w) { words = Array.isArray(w) ? [...w] : []; }
+export function getWords() { return words; }
+
+/* Word list behind the puzzle (hints deduce against it) */
+export function setDictionary(list) { dictionary = Array.isArray(list) ? list : null; }
+export function getDictionary() { return dictionary; }
+
 /* Slot assignment data (byCell / bySlot / slots) */
 export function setSlotAssignment(a) { slotAssignment = a; }
 export function getSlotAssignment() { return slotAssignment; }
@@ -57,12 +93,15 @@ export function getSlotQueue(slotId) { return slotQueues.get(slotId) || []; }
 /* Cursor API */
 export function setSlotCursor(slotId, v) { slotCursor.set(slotId, v); }
 export function getSlotCursor(slotId) { return slotCursor.get(slotId) || 0; }
+export function getAllSlotCursors() { return slotCursor; }
+export function clearSlotCursors() { slotCursor.clear(); }
 
 /* Active token API */
 export function setSlotActive(slotId, tokenId) { slotActive.set(slotId, tokenId); }
 export function getSlotActive(slotId) { return slotActive.get(slotId); }
 export function deleteSlotActive(slotId) { slotActive.delete(slotId); }
 export function getAllSlotActive() { return slotActive; }
+export function clearSlotActive() { slotActive.clear(); }
 
 /* Selection */
 export function setSelectedTokenId(id) { selectedTokenId = id; }
@@ -70,6 +109,73 @@ export function clearSelectedTokenId() { selectedTokenId = null; }
 export function getSelectedTokenId() { return selectedTokenId; }
 export function clearSelection() { selectedTokenId = null; }
 
+/* Board status */
+export function setBoardStatus(s) { boardStatus = s; }
+export function getBoardStatus() { return boardStatus; }
+
+/* Puzzle id */
+export function setPuzzleId(id) { puzzleId = id; }
+export function getPuzzleId() { return puzzleId; }
+
+/* Hint usage */
+function emptyHintUsage() {
+  return Object.fromEntries(HINT_LEVELS.map(k => [k, 0]));
+}
+export function recordHint(level) { hintUsage[level] = (hintUsage[level] || 0) + 1; }
+export function getHintUsage() { return { ...hintUsage }; }
+export function getHintCount() { return Object.values(hintUsage).reduce((a, b) => a + b, 0); }
+export function resetHintUsage(saved = null) {
+  hintUsage = emptyHintUsage();
+  if (saved) for (const k of HINT_LEVELS) hintUsage[k] = Number(saved[k]) || 0;
+}
+
+/* Game meta */
+export function setGameMeta(meta) { gameMeta = { sizeKey: null, difficulty: null, dailyDate: null, ...meta }; }
+export function getGameMeta() { return { ...gameMeta }; }
+
+/* Move counters */
+export function countMove(kind) { moveCounts[kind] = (moveCounts[kind] || 0) + 1; }
+export function getMoveCounts() { return { ...moveCounts }; }
+export function resetMoveCounts(saved = null) {
+  moveCounts = { placements: Number(saved?.placements) || 0, returns: Number(saved?.returns) || 0 };
+}
+
+/* Play clock */
+function syncClock() {
+  const shouldRun = clockState === 'running' && clockPauses.size === 0;
+  if (shouldRun && clockStartedAt == null) clockStartedAt = Date.now();
+  if (!shouldRun && clockStartedAt != null) {
+    clockBankedMs += Date.now() - clockStartedAt;
+    clockStartedAt = null;
+  }
+}
+/* New or restored game: idle until the first placement unless it had already started */
+export function resetClock(bankedMs = 0, { started = false } = {}) {
+  clockStartedAt = null;
+  clockBankedMs = bankedMs;
+  clockState = started ? 'running' : 'idle';
+  syncClock();
+}
+export function startClock() {
+  if (clockState !== 'idle') return;
+  clockState = 'running';
+  syncClock();
+}
+export function stopClock() {
+  clockState = 'stopped';
+  syncClock();
+}
+export function pauseClock(reason) { clockPauses.add(reason); syncClock(); }
+export function resumeClock(reason) { clockPauses.delete(reason); syncClock(); }
+export function isClockStarted() { return clockState !== 'idle'; }
+export function getElapsedMs() {
+  return clockBankedMs + (clockStartedAt != null ? Date.now() - clockStartedAt : 0);
+}
+
+/* Last result */
+export function setLastResult(r) { lastResult = r; }
+export function getLastResult() { return lastResult; }
+
 /* Helpers */
 export function toMap(entries) {
   const m = new Map();
@@ -0,0 +1,231 @@
+// stats.js — local play history (localStorage) and the summaries shown in settings
+//
+// Stored under STATS_KEY as:
+//  { version: 1,
+//    started: { '<size>:<difficulty>': count },  // games with at least one placement
+//    startedIds: string[],                       // recent puzzle ids, so a resumed game is not counted twice
+//    results: ResultRecord[] }                   // see results.js, oldest first
+// Everything else (best/average times, streaks, histogram) is derived from that.
+
+import * as State from './state.js';
+import { utcDateString } from './puzzle-core.js';
+
+const STATS_KEY = 'stats:v1';
+const STATS_VERSION = 1;
+const MAX_RESULTS = 2000;
+const MAX_STARTED_IDS = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/* Solve-time histogram buckets (upper bounds in minutes) */
+const HISTOGRAM_BUCKETS = [
+  { label: '<1m', maxMin: 1 },
+  { label: '1–2m', maxMin: 2 },
+  { label: '2–3m', maxMin: 3 },
+  { label: '3–5m', maxMin: 5 },
+  { label: '5–10m', maxMin: 10 },
+  { label: '10–20m', maxMin: 20 },
+  { label: '20m+', maxMin: Infinity }
+];
+
+function emptyStats() {
+  return { version: STATS_VERSION, started: {}, startedIds: [], results: [] };
+}
+
+function bucketKey(sizeKey, difficulty) { return `${sizeKey}:${difficulty}`; }
+
+/* ===== Storage ===== */
+
+/* Stored stats that cannot be read at all load as empty, but are never saved over:
+   recording into them would wipe the player's history */
+const unreadable = new WeakSet();
+
+export function loadStats() {
+  try {
+    const raw = localStorage.getItem(STATS_KEY);
+    if (!raw) return emptyStats();
+    return repairStats(JSON.parse(raw)) ?? unreadableStats();
+  } catch {
+    return unreadableStats();
+  }
+}
+
+function unreadableStats() {
+  const data = emptyStats();
+  unreadable.add(data);
+  return data;
+}
+
+function saveStats(data) {
+  if (unreadable.has(data)) return;
+  try { localStorage.setItem(STATS_KEY, JSON.stringify(data)); } catch {}
+}
+
+/* Problem with one result record, or null if it is usable */
+function resultProblem(r) {
+  if (!r || typeof r.sizeKey !== 'string' || typeof r.difficulty !== 'string' || !Number.isFinite(r.timeMs)) {
+    return 'needs sizeKey, difficulty and timeMs';
+  }
+  if (r.dailyDate != null && !/^\d{4}-\d{2}-\d{2}$/.test(r.dailyDate)) return 'dailyDate must be YYYY-MM-DD';
+  return null;
+}
+
+/* Stored stats with malformed records dropped, or null if it is not stats of this version */
+function repairStats(data) {
+  if (!data || typeof data !== 'object' || data.version !== STATS_VERSION) return null;
+  const started = data.started && typeof data.started === 'object' && !Array.isArray(data.started)
+    ? Object.fromEntries(Object.entries(data.started).filter(([, n]) => Number.isInteger(n) && n >= 0))
+    : {};
+  return {
+    version: STATS_VERSION,
+    started,
+    startedIds: Array.isArray(data.startedIds) ? data.startedIds.filter(id => typeof id === 'string') : [],
+    results: Array.isArray(data.results) ? data.results.filter(r => !resultProblem(r)) : []
+  };
+}
+
+/* Returns a list of problems; empty means the object can be used as stats */
+export function validateStats(data) {
+  const errors = [];
+  if (!data || typeof data !== 'object') return ['not an object'];
+  if (data.version !== STATS_VERSION) errors.push(`version must be ${STATS_VERSION}`);
+  if (!data.started || typeof data.started !== 'object' || Array.isArray(data.started)) errors.push('started must be an object');
+  else if (Object.values(data.started).some(n => !Number.isInteger(n) || n < 0)) errors.push('started counts must be non-negative integers');
+  if (!Array.isArray(data.startedIds)) errors.push('startedIds must be an array');
+  if (!Array.isArray(data.results)) errors.push('results must be an array');
+  else data.results.forEach((r, i) => {
+    const problem = resultProblem(r);
+    if (problem) errors.push(`results[${i}] ${problem}`);
+  });
+  return errors;
+}
+
+/* ===== Recording ===== */
+
+/* First placement of a game (a resumed game that already started is not recounted) */
+export function recordGameStarted() {
+  const id = State.getPuzzleId();
+  const { sizeKey, difficulty, dailyDate } = State.getGameMeta();
+  if (!id || !sizeKey) return;
+  const startKey = dailyDate ? `${id}@${dailyDate}` : id;
+
+  const data = loadStats();
+  if (data.startedIds.includes(startKey)) return;
+  data.startedIds.push(startKey);
+  if (data.startedIds.length > MAX_STARTED_IDS) data.startedIds.splice(0, data.startedIds.length - MAX_STARTED_IDS);
+  const key = bucketKey(sizeKey, difficulty);
+  data.started[key] = (data.started[key] || 0) + 1;
+  saveStats(data);
+}
+
+/* A result for the same game as the last one recorded (same puzzle and daily date) is a
+   re-solve of that board, not another win, and is ignored. Returns true if recorded. */
+export function recordResult(result) {
+  const data = loadStats();
+  const last = data.results[data.results.length - 1];
+  if (last && result.puzzleId && last.puzzleId === result.puzzleId && (last.dailyDate ?? null) === (result.dailyDate ?? null)) {
+    return false;
+  }
+  data.results.push(result);
+  if (data.results.length > MAX_RESULTS) data.results.splice(0, data.results.length - MAX_RESULTS);
+  saveStats(data);
+  return true;
+}
+
+/* ===== Summaries ===== */
+
+/* Current and longest run of consecutive UTC days with a daily solved on its own day
+   (catching up on an old daily from the archive does not fill a gap) */
+export function computeStreaks(results, today = utcDateString()) {
+  const onTime = results.filter(r => r.dailyDate && (!r.completedAt || r.completedAt.slice(0, 10) === r.dailyDate));
+  const days = [...new Set(onTime.map(r => r.dailyDate))]
+    .map(d => Date.parse(`${d}T00:00:00Z`))
+    .sort((a, b) => a - b);
+
+  let max = 0;
+  let run = 0;
+  for (let i = 0; i < days.length; i++) {
+    run = i > 0 && days[i] - days[i - 1] === DAY_MS ? run + 1 : 1;
+    max = Math.max(max, run);
+  }
+
+  // The current streak is still alive if the last solved daily was today or yesterday
+  const todayMs = Date.parse(`${today}T00:00:00Z`);
+  const last = days[days.length - 1];
+  const current = last != null && todayMs - last <= DAY_MS ? run : 0;
+  return { current, max };
+}
+
+export function computeHistogram(results) {
+  const bins = HISTOGRAM_BUCKETS.map(b => ({ label: b.label, count: 0 }));
+  for (const r of results) {
+    const min = r.timeMs / 60000;
+    const i = HISTOGRAM_BUCKETS.findIndex(b => min < b.maxMin);
+    bins[i].count++;
+  }
+  return bins;
+}
+
+/**
+ * {
+ *   totals: { played, solved },
+ *   byBucket: [{ sizeKey, difficulty, played, solved, bestMs, avgMs }],
+ *   streak: { current, max },
+ *   histogram: [{ label, count }]
+ * }
+ */
+export function summarizeStats(data = loadStats()) {
+  const buckets = new Map();
+  const bucketFor = (sizeKey, difficulty) => {
+    const key = bucketKey(sizeKey, difficulty);
+    if (!buckets.has(key)) buckets.set(key, { sizeKey, difficulty, played: 0, solved: 0, totalMs: 0, bestMs: null });
+    return buckets.get(key);
+  };
+
+  for (const [key, n] of Object.entries(data.started)) {
+    const [sizeKey, difficulty] = key.split(':');
+    bucketFor(sizeKey, difficulty).played += n;
+  }
+  for (const r of data.results) {
+    const b = bucketFor(r.sizeKey, r.difficulty);
+    b.solved++;
+    b.totalMs += r.timeMs;
+    b.bestMs = b.bestMs == null ? r.timeMs : Math.min(b.bestMs, r.timeMs);
+  }
+
+  const byBucket = [...buckets.values()].map(({ totalMs, ...b }) => ({
+    ...b,
+    // A solved game always counts as played, even if it was started before stats existed
+    played: Math.max(b.played, b.solved),
+    avgMs: b.solved ? Math.round(totalMs / b.solved) : null
+  }));
+
+  return {
+    totals: {
+      played: byBucket.reduce((a, b) => a + b.played, 0),
+      solved: byBucket.reduce((a, b) => a + b.solved, 0)
+    },
+    byBucket,
+    streak: computeStreaks(data.results),
+    histogram: computeHistogram(data.results)
+  };
+}
+
+/* ===== Export / import ===== */
+
+export function exportStatsJson() {
+  return JSON.stringify(loadStats(), null, 2);
+}
+
+/* Replace the stored stats with an exported file; throws if it is not a stats export */
+export function importStatsJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Not a JSON file');
+  }
+  const errors = validateStats(data);
+  if (errors.length) throw new Error(`Not a stats export: ${errors.slice(0, 3).join('; ')}`);
+  saveStats(data);
+  return data;
+}
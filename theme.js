@@ -0,0 +1,83 @@
+// theme.js — colour theme: a stored choice, or 'auto' to follow the system
+//
+// 'auto' picks high-contrast when the system asks for more contrast (prefers-contrast),
+// otherwise light or dark from prefers-color-scheme, and keeps tracking both live.
+// 'custom:<name>' is a theme from custom-themes.js: its base theme plus inline overrides.
+// The effective built-in theme is set as <html data-theme="...">.
+
+import * as Custom from './custom-themes.js';
+
+export const THEMES = ['dark', 'light', 'colorblind', 'bw', 'high-contrast', 'desert', 'ice', 'forest'];
+export const CUSTOM_PREFIX = 'custom:';
+
+const THEME_PREF_KEY = 'theme';
+const mq = (q) => (typeof matchMedia === 'function' ? matchMedia(q) : null);
+const lightQuery = mq('(prefers-color-scheme: light)');
+const contrastQuery = mq('(prefers-contrast: more)');
+
+const listeners = new Set();
+let appliedKey = null;      // what is on the page now, to skip no-op applies
+let inlineVars = [];        // custom variables currently set on <html>
+
+function customThemeFor(pref) {
+  return pref?.startsWith(CUSTOM_PREFIX) ? Custom.getCustomTheme(pref.slice(CUSTOM_PREFIX.length)) : null;
+}
+
+export function getThemePreference() {
+  try {
+    const stored = localStorage.getItem(THEME_PREF_KEY);
+    if (stored === 'auto' || THEMES.includes(stored) || customThemeFor(stored)) return stored;
+  } catch {}
+  return 'auto';
+}
+
+/* Effective built-in theme after resolving 'auto' (a custom theme resolves to its base) */
+export function getTheme() {
+  const pref = getThemePreference();
+  const custom = customThemeFor(pref);
+  if (custom) return custom.base;
+  if (pref !== 'auto') return pref;
+  if (contrastQuery?.matches) return 'high-contrast';
+  return lightQuery?.matches ? 'light' : 'dark';
+}
+
+export function setThemePreference(pref) {
+  if (pref !== 'auto' && !THEMES.includes(pref) && !customThemeFor(pref)) throw new Error(`Unknown theme: ${pref}`);
+  try { localStorage.setItem(THEME_PREF_KEY, pref); } catch {}
+  applyTheme();
+}
+
+/* Subscribe to effective-theme changes (called after the page is updated) */
+export function onThemeChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+function setPageTheme(theme, vars) {
+  const key = JSON.stringify([theme, vars]);
+  if (key === appliedKey) return;
+  appliedKey = key;
+
+  const root = document.documentElement;
+  for (const name of inlineVars) root.style.removeProperty(name);
+  inlineVars = Object.keys(vars);
+  root.setAttribute('data-theme', theme);
+  for (const [name, value] of Object.entries(vars)) root.style.setProperty(name, value);
+
+  for (const fn of listeners) {
+    try { fn(theme); } catch {}
+  }
+}
+
+export function applyTheme() {
+  const custom = customThemeFor(getThemePreference());
+  setPageTheme(getTheme(), custom?.vars ?? {});
+}
+
+/* Show unsaved editor values on the page; applyTheme() goes back to the stored choice */
+export function previewTheme(base, vars) {
+  setPageTheme(base, vars);
+}
+
+lightQuery?.addEventListener?.('change', applyTheme);
+contrastQuery?.addEventListener?.('change', applyTheme);
@@ -1,10 +1,16 @@
-// Token lifecycle: create tokens, select, place, return.
+// Token lifecycle: create tokens, select, place, move, return.
 // Depends on DOM, State, Slots modules.
 
 import * as DOM from './dom.js';
 import * as State from './state.js';
 import * as Slots from './slots.js';
 import * as Anim from './animations.js';
+import * as Save from './savegame.js';
+import * as History from './history.js';
+import * as Results from './results.js';
+import * as Stats from './stats.js';
+import * as A11y from './a11y.js';
+import * as Sfx from './sfx.js';
 
 // createTokenForCell(cellKey, info, letter)
 // info: { side, index, id, wave? }
@@ -31,16 +37,20 @@ export function createTokenForCell(cellKey, info, letter) {
 
   tokenEl.setAttribute('aria-label', `Outside token${wave > 0 ? ` (wave ${wave + 1})` : ''}: ${letter}`);
   tokenEl.setAttribute('role', 'button');
-  tokenEl.setAttribute('tabindex', '0');
+  // Keyboard focus rests on the slot (keyboard.js); the token itself is not a tab stop
+  tokenEl.setAttribute('tabindex', '-1');
 
   tokenEl.addEventListener('click', () => selectToken(cellKey));
   tokenEl.addEventListener('keydown', (ev) => { if (ev.key === 'Enter' || ev.key === ' ') { ev.preventDefault(); selectToken(cellKey); } });
 
+  // While a token is being dragged the drag owns the highlights
   tokenEl.addEventListener('mouseenter', () => {
+    if (document.documentElement.classList.contains('dragging')) return;
     const tok = State.getToken(cellKey);
     if (tok && !tok.placed && State.getSelectedTokenId() !== cellKey) previewAllowedForToken(tok);
   });
   tokenEl.addEventListener('mouseleave', () => {
+    if (document.documentElement.classList.contains('dragging')) return;
     const tok = State.getToken(cellKey);
     if (!tok || State.getSelectedTokenId() === cellKey) return;
     DOM.clearAllowedHighlights();
@@ -69,10 +79,11 @@ export function createTokenForCell(cellKey, info, letter) {
   return tokenEl;
 }
 
-/* previewAllowedForToken: highlight legal cells for a token */
-export function previewAllowedForToken(token) {
+/* previewAllowedForToken: highlight legal cells for a token
+   (a placed token's line is only shown on request, e.g. while it is being dragged) */
+export function previewAllowedForToken(token, { includePlaced = false } = {}) {
   DOM.clearAllowedHighlights();
-  if (!token || token.placed) return;
+  if (!token || (token.placed && !includePlaced)) return;
 
   const grid = State.getGridRef();
   const isRow = token.side === 'L' || token.side === 'R';
@@ -112,9 +123,11 @@ export function selectToken(tokenId) {
     // guard: t.el may be null in rare races; only add class if element exists
     try { t.el.classList.add('selected'); } catch {}
     previewAllowedForToken(t);
+    Sfx.play('select');
   } else {
     DOM.clearAllowedHighlights();
   }
+  Save.saveProgress();
 }
 
 /* Centralized routine to return a token to its slot */
@@ -168,49 +181,70 @@ export function returnTokenToSlot(tok) {
 /* Handler when a board cell is clicked */
 export function onBoardCellClick(e) {
   const cell = e.currentTarget;
-  const r = Number(cell.dataset.r);
-  const c = Number(cell.dataset.c);
-  const coord = `${r},${c}`;
-  const grid = State.getGridRef();
-  const isFillable = grid[r][c] === 1;
-
   const existingTokenId = cell.dataset.tokenId || null;
 
   if (existingTokenId) {
-    const tok = State.getToken(existingTokenId);
-    if (!tok) return;
-    const charEl = cell.querySelector('.char');
-    if (charEl) charEl.textContent = '';
-    cell.removeAttribute('data-token-id');
-    cell.setAttribute('aria-label', `Row ${r + 1}, Column ${c + 1}: empty`);
-    returnTokenToSlot(tok);
-    State.clearSelectedTokenId();
-    DOM.clearAllowedHighlights();
+    returnPlacedToken(existingTokenId);
     return;
   }
 
   const selectedId = State.getSelectedTokenId();
   if (!selectedId) return;
-  const tok = State.getToken(selectedId);
-  if (!tok || tok.placed) return;
-  if (!isFillable) return;
+  if (!placeToken(selectedId, cell.dataset.coord)) Sfx.play('invalid');
+}
+
+/* A solved board is final (as in drag.js and history.js): nothing is placed, moved or returned */
+function isBoardFinal() {
+  return State.getBoardStatus() === 'solved';
+}
+
+/* Send a placed token back to its slot. Returns true if something moved. */
+export function returnPlacedToken(tokenId) {
+  const tok = State.getToken(tokenId);
+  if (!tok || !tok.placed || isBoardFinal()) return false;
+  const coord = tok.currentCellKey;
+  const cell = DOM.getCellEl(coord);
+
+  const before = capturePlayState();
+  if (cell) DOM.clearCellLetter(cell);
+  returnTokenToSlot(tok);
+  State.countMove('returns');
+  State.clearSelectedTokenId();
+  DOM.clearAllowedHighlights();
+  DOM.clearHintMarks();
+  updateBoardStatus();
+  History.record({ type: 'return', tokenId: tok.id, cellKey: coord, before, after: capturePlayState() });
+  A11y.announceReturn(tok, coord);
+  Sfx.play('return');
+  Save.saveProgress();
+  return true;
+}
+
+/* Is cellKey an empty fillable cell in the token's row/column? */
+export function canDropOnCell(tok, cellKey) {
+  if (!tok || !cellKey) return false;
+  const cell = DOM.getCellEl(cellKey);
+  if (!cell || cell.dataset.tokenId) return false;
+
+  const [r, c] = cellKey.split(',').map(Number);
+  const grid = State.getGridRef();
+  if (grid[r]?.[c] !== 1) return false;
 
   const side = tok.side;
   const idx = tok.index;
-  const allowed = (side === 'L' || side === 'R') ? (r === idx) : (side === 'T' || side === 'B') ? (c === idx) : false;
-  if (!allowed) return;
-
-  const charEl = cell.querySelector('.char');
-  if (charEl) {
-    charEl.textContent = tok.letter;
-    charEl.classList.remove('placed');
-    // force reflow to retrigger animation
-    charEl.offsetWidth;
-    charEl.classList.add('placed');
-
-    cell.dataset.tokenId = tok.id;
-    cell.setAttribute('aria-label', `Row ${r + 1}, Column ${c + 1}: ${tok.letter}`);
-  }
+  return (side === 'L' || side === 'R') ? (r === idx) : (side === 'T' || side === 'B') ? (c === idx) : false;
+}
+
+/* Place an outside token on an empty fillable cell in its row/column. Returns true if placed.
+   viaHint: a revealed letter counts as a hint, not as one of the player's placements. */
+export function placeToken(tokenId, cellKey, { viaHint = false } = {}) {
+  const tok = State.getToken(tokenId);
+  if (!tok || tok.placed || isBoardFinal()) return false;
+  if (!canDropOnCell(tok, cellKey)) return false;
+  const cell = DOM.getCellEl(cellKey);
+
+  const before = capturePlayState();
+  DOM.setCellLetter(cell, tok.id, tok.letter);
 
   if (tok.el && tok.el.parentElement) {
     // remove selected class if present before removing element
@@ -226,19 +260,98 @@ export function onBoardCellClick(e) {
   State.deleteSlotActive(tok.slotId);
 
   tok.placed = true;
-  tok.currentCellKey = coord;
+  tok.currentCellKey = cellKey;
   State.setToken(tok.id, tok);
   State.clearSelectedTokenId();
+  if (!viaHint) State.countMove('placements');
+  if (!State.isClockStarted()) Stats.recordGameStarted();
+  State.startClock();
 
   DOM.clearAllowedHighlights();
+  DOM.clearHintMarks();
 
   // Emit next for this slot
   Slots.emitNextTokenIntoSlot(tok.slotId);
 
   // After placing a token, check completion
-  if (allTokensPlaced()) {
+  updateBoardStatus();
+  History.record({ type: 'place', tokenId: tok.id, cellKey, before, after: capturePlayState() });
+  // The win announcement (from updateBoardStatus) says more than the last placement
+  if (State.getBoardStatus() !== 'solved') {
+    A11y.announcePlacement(tok, cellKey);
+    Sfx.play(completesWord(cellKey) ? 'word' : 'place');
+  }
+  Save.saveProgress();
+  return true;
+}
+
+/* Move a placed token straight to another empty cell in its row/column (drag on the board).
+   The slot is left alone, so no wave token is taken back. Returns true if moved. */
+export function moveToken(tokenId, cellKey) {
+  const tok = State.getToken(tokenId);
+  if (!tok || !tok.placed || tok.currentCellKey === cellKey || isBoardFinal()) return false;
+  if (!canDropOnCell(tok, cellKey)) return false;
+  const from = tok.currentCellKey;
+
+  const before = capturePlayState();
+  const fromCell = DOM.getCellEl(from);
+  if (fromCell) DOM.clearCellLetter(fromCell);
+  DOM.setCellLetter(DOM.getCellEl(cellKey), tok.id, tok.letter);
+
+  tok.currentCellKey = cellKey;
+  State.setToken(tok.id, tok);
+  State.clearSelectedTokenId();
+  State.countMove('placements');
+
+  DOM.clearAllowedHighlights();
+  DOM.clearHintMarks();
+
+  updateBoardStatus();
+  History.record({ type: 'move', tokenId: tok.id, cellKey, from, before, after: capturePlayState() });
+  if (State.getBoardStatus() !== 'solved') {
+    A11y.announceMove(tok, from, cellKey);
+    Sfx.play(completesWord(cellKey) ? 'word' : 'place');
+  }
+  Save.saveProgress();
+  return true;
+}
+
+/* Does the letter now at cellKey finish a word (its across or down run) with every letter right? */
+function completesWord(cellKey) {
+  const grid = State.getGridRef();
+  const solution = State.getSolutionLetters();
+  const placed = new Map(); // cellKey -> letter
+  for (const t of State.tokensValues()) if (t.placed && t.currentCellKey) placed.set(t.currentCellKey, t.letter);
+
+  const [r, c] = cellKey.split(',').map(Number);
+  return [[0, 1], [1, 0]].some(([dr, dc]) => {
+    let rr = r;
+    let cc = c;
+    while (grid[rr - dr]?.[cc - dc] === 1) { rr -= dr; cc -= dc; }
+    const run = [];
+    while (grid[rr]?.[cc] === 1) { run.push(`${rr},${cc}`); rr += dr; cc += dc; }
+    return run.length > 1 && run.every(k => placed.get(k) === solution.get(k));
+  });
+}
+
+/* Re-evaluate the board after a move and react to status transitions:
+   celebrate only a genuinely solved board, flag a full-but-wrong one. */
+export function updateBoardStatus() {
+  const prev = State.getBoardStatus();
+  const result = evaluateBoard();
+  State.setBoardStatus(result.status);
+  DOM.setBoardWrong(result.status === 'wrong');
+
+  if (result.status === prev) return result;
+  if (result.status === 'solved') {
+    State.stopClock();
+    Results.completeGame();
     try { Anim.validateCompletionSequence(); } catch {}
+  } else if (result.status === 'wrong') {
+    const n = result.misplaced;
+    DOM.showToast(`Board full — ${n} letter${n === 1 ? ' is' : 's are'} misplaced`);
   }
+  return result;
 }
 
 /* Called by orchestrator when building tokens initially */
@@ -246,6 +359,12 @@ export function renderTokensFromAssignment(letters, assignment) {
   // clear existing tokens in state (but DOM will be re-rendered by dom.renderOutsideSlots)
   for (const [id] of State.tokensIterator()) State.deleteToken(id);
   State.clearSelectedTokenId();
+  State.setBoardStatus('incomplete');
+  State.resetHintUsage();
+  State.resetMoveCounts();
+  DOM.setBoardWrong(false);
+  DOM.clearHintMarks();
+  History.clear();
 
   State.setSlotQueues(assignment?.slotQueues ?? new Map());
 
@@ -268,10 +387,104 @@ export function renderTokensFromAssignment(letters, assignment) {
   }
 }
 
+/* ===== Play state snapshots (save/resume and undo/redo) ===== */
+
+/**
+ * Plain-data copy of the mutable play state:
+ * { placed: [tokenId, cellKey][], cursors: [slotId, n][], active: [slotId, tokenId][] }
+ */
+export function capturePlayState() {
+  const placed = [];
+  for (const tok of State.tokensValues()) {
+    if (tok.placed && tok.currentCellKey) placed.push([tok.id, tok.currentCellKey]);
+  }
+  return {
+    placed,
+    cursors: Array.from(State.getAllSlotCursors().entries()),
+    active: Array.from(State.getAllSlotActive().entries())
+  };
+}
+
+/**
+ * Rebuild tokens, board letters, slot cursors and active slot tokens from a
+ * capturePlayState() snapshot. Selection is cleared; callers re-evaluate the board.
+ */
+export function applyPlayState({ placed, cursors, active }) {
+  const solution = State.getSolutionLetters();
+  const byCell = State.getSlotAssignment().byCell;
+
+  for (const tok of State.tokensValues()) {
+    try { tok.el?.remove(); } catch {}
+    if (tok.placed && tok.currentCellKey) {
+      const cell = DOM.getCellEl(tok.currentCellKey);
+      if (cell) DOM.clearCellLetter(cell);
+    }
+  }
+  State.clearTokens();
+  State.clearSlotActive();
+  State.clearSlotCursors();
+  State.clearSelectedTokenId();
+  DOM.clearAllowedHighlights();
+  DOM.clearHintMarks();
+  for (const slotEl of DOM.getSlotElsMap().values()) {
+    slotEl.classList.add('empty');
+    slotEl.classList.remove('occupied');
+  }
+
+  for (const [tokenId, cellKey] of placed) {
+    const info = byCell.get(tokenId);
+    const letter = solution.get(tokenId);
+    State.setToken(tokenId, {
+      id: tokenId,
+      letter,
+      side: info.side,
+      index: info.index,
+      slotId: info.id,
+      el: null,
+      placed: true,
+      currentCellKey: cellKey,
+      wave: Number(info.wave ?? 0)
+    });
+    const cell = DOM.getCellEl(cellKey);
+    if (cell) DOM.setCellLetter(cell, tokenId, letter, { animate: false });
+  }
+
+  for (const [slotId, cursor] of cursors) State.setSlotCursor(slotId, cursor);
+  for (const [, tokenId] of active) createTokenForCell(tokenId, byCell.get(tokenId), solution.get(tokenId));
+}
+
 /* Helper: check all tokens are placed (used for completion) */
 export function allTokensPlaced() {
   for (const [, tok] of State.tokensIterator()) {
     if (!tok.placed) return false;
   }
   return true;
-}
\ No newline at end of file
+}
+
+/**
+ * Compare the placed letters against State.getSolutionLetters().
+ * Tokens are matched by letter, not identity, so swapping two tokens that carry
+ * the same letter still counts as correct.
+ * Returns { status: 'incomplete' | 'wrong' | 'solved', filled, total, misplaced }.
+ */
+export function evaluateBoard() {
+  const solution = State.getSolutionLetters();
+  const placed = new Map(); // cellKey -> letter
+  for (const tok of State.tokensValues()) {
+    if (tok.placed && tok.currentCellKey) placed.set(tok.currentCellKey, tok.letter);
+  }
+
+  let filled = 0;
+  let misplaced = 0;
+  for (const [cellKey, letter] of solution.entries()) {
+    const got = placed.get(cellKey);
+    if (!got) continue;
+    filled++;
+    if (got !== letter) misplaced++;
+  }
+
+  const total = solution.size;
+  let status = 'incomplete';
+  if (total > 0 && filled === total) status = misplaced ? 'wrong' : 'solved';
+  return { status, filled, total, misplaced };
+}
@@ -0,0 +1,315 @@
+// ===============================
+// UNIQUENESS CHECKER
+// ===============================
+// The player knows the board shape, that a token from an L/R slot belongs
+// somewhere in that row and a token from a T/B slot somewhere in that column,
+// and that every across/down run must spell a word. A puzzle is fair when those
+// constraints admit exactly one letter filling.
+//
+// Tokens that share a line and a letter are interchangeable, so they are grouped
+// into capacity buckets ("R3:E" = the E tokens that must land in row 3). A filling
+// is a perfect b-matching of cells to buckets. Starting from the generator's own
+// solution, an edge (cell -> bucket) appears in some other perfect matching exactly
+// when the cell and the bucket share a strongly connected component of the residual
+// graph, which gives each cell's exact set of possible letters under the row/column
+// rules alone.
+//
+// Row/column rules on their own almost never pin down a crossword (two parallel
+// words spanning the same rows form a swappable rectangle), so when a dictionary
+// is supplied the checker additionally requires every run to be a word and
+// searches the remaining letter choices, stopping as soon as a second filling
+// turns up.
+
+/**
+ * Count the letter fillings of a puzzle, stopping at 2.
+ *
+ * puzzle: { grid, letters: Map(cellKey -> letter), slotAssignment: { byCell } }
+ *         (entry arrays as produced by serialization are accepted too)
+ * Options:
+ * - dictionary: words every across/down run must come from (omit for row/column rules only)
+ * - maxNodes: search budget for the dictionary-aware pass
+ *
+ * Returns {
+ *   count: 0 | 1 | 2,         // 0 = the stored solution breaks the rules, 2 = two or more
+ *   ambiguousCells: string[], // cells whose letter the row/column rules alone do not force
+ *   complete: boolean         // false if the search budget ran out before a second filling was ruled out
+ * }
+ */
+export function countSolutions(puzzle, { dictionary = null, maxNodes = 20000 } = {}) {
+  const model = buildModel(puzzle);
+  if (!model) return { count: 0, ambiguousCells: [], complete: true };
+
+  const domains = lineDomains(model);
+  const ambiguousCells = model.cells
+    .filter((cell, i) => domains[i].length > 1)
+    .map(cell => cell.key);
+
+  if (!ambiguousCells.length) return { count: 1, ambiguousCells, complete: true };
+  if (!dictionary) return { count: 2, ambiguousCells, complete: true };
+
+  const { count, complete } = searchWithWords(model, domains, dictionary, puzzle.grid, maxNodes);
+  return { count, ambiguousCells, complete };
+}
+
+/**
+ * True when the puzzle provably admits exactly one filling.
+ * An exhausted search budget counts as "not proven unique".
+ */
+export function hasUniqueSolution(puzzle, options = {}) {
+  const { count, complete } = countSolutions(puzzle, options);
+  return complete && count === 1;
+}
+
+// ===============================
+// MODEL
+// ===============================
+function buildModel({ grid, letters, slotAssignment }) {
+  const letterMap = letters instanceof Map ? letters : new Map(letters || []);
+  const rawByCell = slotAssignment?.byCell;
+  const byCell = rawByCell instanceof Map ? rawByCell : new Map(rawByCell || []);
+
+  const cells = [];
+  const cellIndex = new Map();    // cellKey -> i
+  const ownGroup = [];
+  const groupLetter = new Map();  // bucket -> letter
+  const groupCells = new Map();   // bucket -> [cell indexes whose solution token is in it]
+  const lineGroups = new Map();   // 'R3' / 'C5' -> Set(buckets)
+
+  for (const [key, letter] of letterMap.entries()) {
+    const [r, c] = key.split(',').map(Number);
+    if (grid && grid[r]?.[c] !== 1) return null;
+    const info = byCell.get(key);
+    if (!info) return null;
+
+    const isRow = info.side === 'L' || info.side === 'R';
+    if (info.index !== (isRow ? r : c)) return null;
+
+    const line = isRow ? `R${r}` : `C${c}`;
+    const g = `${line}:${letter}`;
+    const i = cells.length;
+    cells.push({ key, r, c, letter });
+    cellIndex.set(key, i);
+    ownGroup.push(g);
+    groupLetter.set(g, letter);
+    if (!groupCells.has(g)) groupCells.set(g, []);
+    groupCells.get(g).push(i);
+    if (!lineGroups.has(line)) lineGroups.set(line, new Set());
+    lineGroups.get(line).add(g);
+  }
+
+  const cellEdges = cells.map(({ r, c }) => [
+    ...(lineGroups.get(`R${r}`) || []),
+    ...(lineGroups.get(`C${c}`) || [])
+  ]);
+
+  return { cells, cellIndex, cellEdges, ownGroup, groupLetter, groupCells };
+}
+
+/* Exact per-cell letter sets under the row/column rules (SCC of the residual graph). */
+function lineDomains({ cells, cellEdges, ownGroup, groupLetter, groupCells }) {
+  const M = cells.length;
+
+  // Node ids: cells 0..M-1, buckets M.. in insertion order
+  const groupIds = new Map([...groupCells.keys()].map((g, k) => [g, M + k]));
+  const adj = Array.from({ length: M + groupIds.size }, () => []);
+  for (let i = 0; i < M; i++) {
+    for (const g of cellEdges[i]) {
+      if (g !== ownGroup[i]) adj[i].push(groupIds.get(g));
+    }
+  }
+  for (const [g, members] of groupCells.entries()) {
+    const gi = groupIds.get(g);
+    for (const i of members) adj[gi].push(i);
+  }
+
+  const comp = stronglyConnectedComponents(adj);
+
+  return cells.map((cell, i) => {
+    const set = new Set([cell.letter]);
+    for (const g of cellEdges[i]) {
+      if (comp[groupIds.get(g)] === comp[i]) set.add(groupLetter.get(g));
+    }
+    return [...set];
+  });
+}
+
+// ===============================
+// DICTIONARY-AWARE SEARCH
+// ===============================
+function searchWithWords(model, initialDomains, dictionary, grid, maxNodes) {
+  const { cells, cellIndex, cellEdges, groupLetter, groupCells } = model;
+  const runs = findRuns(grid, cellIndex);
+
+  const byLength = new Map();
+  for (const raw of dictionary) {
+    const w = String(raw).trim().toUpperCase();
+    if (!w) continue;
+    if (!byLength.has(w.length)) byLength.set(w.length, new Set());
+    byLength.get(w.length).add(w);
+  }
+  const runCands = runs.map(run => {
+    // The solution's own spelling is always admissible, even if the list lacks it
+    const own = run.map(i => cells[i].letter).join('');
+    return [...new Set([own, ...(byLength.get(run.length) || [])])];
+  });
+
+  const cap = new Map([...groupCells.entries()].map(([g, members]) => [g, members.length]));
+
+  function propagate(domains, cands) {
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (let k = 0; k < runs.length; k++) {
+        const run = runs[k];
+        const sets = run.map(i => new Set(domains[i]));
+        const kept = cands[k].filter(w => run.every((_, p) => sets[p].has(w[p])));
+        if (!kept.length) return false;
+        cands[k] = kept;
+
+        for (let p = 0; p < run.length; p++) {
+          const i = run[p];
+          const seen = new Set(kept.map(w => w[p]));
+          const next = domains[i].filter(L => seen.has(L));
+          if (!next.length) return false;
+          if (next.length < domains[i].length) {
+            domains[i] = next;
+            changed = true;
+          }
+        }
+      }
+    }
+    return true;
+  }
+
+  // Relaxation: every cell can still get a token whose letter is in its domain
+  function matchingExists(domains) {
+    const occupants = new Map([...cap.keys()].map(g => [g, []]));
+    function tryAssign(i, visited) {
+      for (const g of cellEdges[i]) {
+        if (visited.has(g) || !domains[i].includes(groupLetter.get(g))) continue;
+        visited.add(g);
+        const occ = occupants.get(g);
+        if (occ.length < cap.get(g)) { occ.push(i); return true; }
+        for (let k = 0; k < occ.length; k++) {
+          if (tryAssign(occ[k], visited)) { occ[k] = i; return true; }
+        }
+      }
+      return false;
+    }
+    for (let i = 0; i < cells.length; i++) {
+      if (!tryAssign(i, new Set())) return false;
+    }
+    return true;
+  }
+
+  let count = 0;
+  let nodes = 0;
+  let aborted = false;
+
+  function search(domains, cands) {
+    if (++nodes > maxNodes) { aborted = true; return; }
+    if (!propagate(domains, cands)) return;
+    if (!matchingExists(domains)) return;
+
+    let best = -1;
+    for (let i = 0; i < cells.length; i++) {
+      if (domains[i].length < 2) continue;
+      if (best === -1 || domains[i].length < domains[best].length) best = i;
+    }
+    if (best === -1) {
+      count++;
+      return;
+    }
+
+    for (const L of domains[best]) {
+      const nextDomains = domains.slice();
+      nextDomains[best] = [L];
+      search(nextDomains, cands.slice());
+      if (count >= 2 || aborted) return;
+    }
+  }
+
+  search(initialDomains.map(d => d.slice()), runCands);
+  return { count: Math.min(count, 2), complete: count >= 2 || !aborted };
+}
+
+/* Maximal across/down runs (length >= 2) of fillable cells, as cell indexes. */
+function findRuns(grid, cellIndex) {
+  const N = grid.length;
+  const runs = [];
+  const flush = (run) => { if (run.length >= 2) runs.push(run); };
+
+  for (let r = 0; r < N; r++) {
+    let run = [];
+    for (let c = 0; c <= N; c++) {
+      const i = c < N && grid[r][c] === 1 ? cellIndex.get(`${r},${c}`) : undefined;
+      if (i === undefined) { flush(run); run = []; }
+      else run.push(i);
+    }
+  }
+  for (let c = 0; c < N; c++) {
+    let run = [];
+    for (let r = 0; r <= N; r++) {
+      const i = r < N && grid[r][c] === 1 ? cellIndex.get(`${r},${c}`) : undefined;
+      if (i === undefined) { flush(run); run = []; }
+      else run.push(i);
+    }
+  }
+  return runs;
+}
+
+// ===============================
+// SCC (TARJAN, ITERATIVE)
+// ===============================
+function stronglyConnectedComponents(adj) {
+  const n = adj.length;
+  const index = new Array(n).fill(-1);
+  const low = new Array(n).fill(0);
+  const onStack = new Array(n).fill(false);
+  const comp = new Array(n).fill(-1);
+  const stack = [];
+  let counter = 0;
+  let compCount = 0;
+
+  for (let root = 0; root < n; root++) {
+    if (index[root] !== -1) continue;
+    const work = [[root, 0]];
+    index[root] = low[root] = counter++;
+    stack.push(root);
+    onStack[root] = true;
+
+    while (work.length) {
+      const frame = work[work.length - 1];
+      const [v, ei] = frame;
+      if (ei < adj[v].length) {
+        frame[1]++;
+        const w = adj[v][ei];
+        if (index[w] === -1) {
+          index[w] = low[w] = counter++;
+          stack.push(w);
+          onStack[w] = true;
+          work.push([w, 0]);
+        } else if (onStack[w]) {
+          low[v] = Math.min(low[v], index[w]);
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length) {
+        const parent = work[work.length - 1][0];
+        low[parent] = Math.min(low[parent], low[v]);
+      }
+      if (low[v] === index[v]) {
+        let w;
+        do {
+          w = stack.pop();
+          onStack[w] = false;
+          comp[w] = compCount;
+        } while (w !== v);
+        compCount++;
+      }
+    }
+  }
+  return comp;
+}
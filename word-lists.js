@@ -0,0 +1,159 @@
+// word-lists.js — word lists for free play: the named lists shipped in wordlists/ and
+// lists the player uploads
+//
+// Uploads are stored under WORD_LISTS_KEY as:
+//  { version: 1, lists: [{ name, words: ['WORD', ...] }] }
+// Words are stored already cleaned (dictionary.js), so the blocklist applies to them too.
+// Shipped lists are fetched when first used. The preference is 'standard' (the built-in
+// list), 'list:<name>' (shipped) or 'custom:<name>' (uploaded). Dailies never use it.
+
+import * as Dictionary from './dictionary.js';
+
+export { STANDARD_LIST } from './dictionary.js';
+
+export const CUSTOM_PREFIX = 'custom:';
+export const SHIPPED_PREFIX = 'list:';
+
+const WORD_LISTS_KEY = 'wordLists:v1';
+const WORD_LISTS_VERSION = 1;
+const WORD_LIST_PREF_KEY = 'wordList';
+const MAX_NAME_LENGTH = 40;
+const MAX_WORDS = 100000;
+const SHIPPED_BASE_URL = './wordlists';
+const SHIPPED_NAME = /^[a-z0-9-]+$/;
+
+let shippedIndex = null;           // Promise of [{ name, label, file }]
+const shippedWords = new Map();    // name -> Promise of words
+
+function normalize(list) {
+  return { name: list.name.trim(), words: Dictionary.cleanWordList(list.words) };
+}
+
+function isValidList(list) {
+  return typeof list?.name === 'string' && !!list.name.trim() && Array.isArray(list.words);
+}
+
+/* ===== Storage ===== */
+
+export function loadWordLists() {
+  try {
+    const data = JSON.parse(localStorage.getItem(WORD_LISTS_KEY) || 'null');
+    if (data?.version !== WORD_LISTS_VERSION || !Array.isArray(data.lists)) return [];
+    return data.lists.filter(isValidList).map(normalize).filter(l => l.words.length);
+  } catch {
+    return [];
+  }
+}
+
+/* Throws when storage is full: a word list is too big to drop silently */
+function saveAll(lists) {
+  try {
+    localStorage.setItem(WORD_LISTS_KEY, JSON.stringify({ version: WORD_LISTS_VERSION, lists }));
+  } catch {
+    throw new Error('Not enough storage for this word list');
+  }
+}
+
+export function getWordList(name) {
+  return loadWordLists().find(l => l.name === name) ?? null;
+}
+
+/* Parse an uploaded file (see parseWordList in dictionary.js) and store it under name,
+   replacing a list of the same name; throws if it holds no usable word. */
+export function importWordList(name, text) {
+  const trimmed = String(name ?? '').trim().slice(0, MAX_NAME_LENGTH);
+  if (!trimmed) throw new Error('A word list needs a name');
+  const words = Dictionary.parseWordList(text);
+  if (words.length > MAX_WORDS) throw new Error(`Word lists are limited to ${MAX_WORDS} words`);
+  const saved = { name: trimmed, words };
+  saveAll([...loadWordLists().filter(l => l.name !== trimmed), saved]);
+  return saved;
+}
+
+export function deleteWordList(name) {
+  saveAll(loadWordLists().filter(l => l.name !== name));
+  if (getWordListPreference() === CUSTOM_PREFIX + name) setWordListPreference(Dictionary.STANDARD_LIST);
+}
+
+/* ===== Shipped lists ===== */
+
+/* Entries of wordlists/index.json; empty (and retried next time) if it cannot be loaded */
+export function loadShippedWordLists() {
+  shippedIndex ??= fetch(`${SHIPPED_BASE_URL}/index.json`)
+    .then(res => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.json();
+    })
+    .then(Dictionary.parseWordListIndex)
+    .catch(() => {
+      shippedIndex = null;
+      return [];
+    });
+  return shippedIndex;
+}
+
+/* Cleaned words of a shipped list; throws if it is unknown or cannot be loaded */
+export function loadShippedWords(name) {
+  if (!shippedWords.has(name)) {
+    const words = loadShippedWordLists().then(async (lists) => {
+      const entry = lists.find(l => l.name === name);
+      if (!entry) throw new Error(`Unknown word list: ${name}`);
+      const res = await fetch(`${SHIPPED_BASE_URL}/${entry.file}`);
+      if (!res.ok) throw new Error(`Could not load word list ${entry.label} (HTTP ${res.status})`);
+      return Dictionary.parseWordList(await res.text());
+    });
+    words.catch(() => shippedWords.delete(name));
+    shippedWords.set(name, words);
+  }
+  return shippedWords.get(name);
+}
+
+/* ===== Preference ===== */
+
+/* Uploaded lists are checked here; shipped ones only by name (they load asynchronously) */
+function isKnownPreference(pref) {
+  if (pref === Dictionary.STANDARD_LIST) return true;
+  if (pref?.startsWith(SHIPPED_PREFIX)) return SHIPPED_NAME.test(pref.slice(SHIPPED_PREFIX.length));
+  return !!(pref?.startsWith(CUSTOM_PREFIX) && getWordList(pref.slice(CUSTOM_PREFIX.length)));
+}
+
+export function getWordListPreference() {
+  try {
+    const stored = localStorage.getItem(WORD_LIST_PREF_KEY);
+    if (isKnownPreference(stored)) return stored;
+  } catch {}
+  return Dictionary.STANDARD_LIST;
+}
+
+export function setWordListPreference(pref) {
+  if (!isKnownPreference(pref)) throw new Error(`Unknown word list: ${pref}`);
+  try { localStorage.setItem(WORD_LIST_PREF_KEY, pref); } catch {}
+}
+
+/* The chosen uploaded list, or null */
+export function getActiveCustomWordList() {
+  const pref = getWordListPreference();
+  return pref.startsWith(CUSTOM_PREFIX) ? getWordList(pref.slice(CUSTOM_PREFIX.length)) : null;
+}
+
+/* Display name of the chosen list (an upload's name, a shipped list's label), or null for
+   the standard list */
+export async function activeWordListName() {
+  const pref = getWordListPreference();
+  if (pref.startsWith(SHIPPED_PREFIX)) {
+    const name = pref.slice(SHIPPED_PREFIX.length);
+    return (await loadShippedWordLists()).find(l => l.name === name)?.label ?? name;
+  }
+  return getActiveCustomWordList()?.name ?? null;
+}
+
+/* { name, words } of the chosen list, or null for the standard list; throws if a shipped
+   list cannot be loaded */
+export async function loadActiveWordList() {
+  const pref = getWordListPreference();
+  if (pref.startsWith(SHIPPED_PREFIX)) {
+    const name = pref.slice(SHIPPED_PREFIX.length);
+    return { name, words: await loadShippedWords(name) };
+  }
+  return getActiveCustomWordList();
+}